@@ -0,0 +1,382 @@
+'use strict';
+
+const crypto     = require('crypto');
+const Trie       = require('./trie.js');
+const validator  = require('../helper/validator.js');
+const serializer = require('../helper/serializer.js');
+const errors     = require('../helper/error.js');
+const weakmap    = new WeakMap();
+const tag        = 'flexee:bridge';
+
+/**
+ * Check if an identifier matches an event name
+ *
+ * @param {Trie} trie
+ * @param {String|RegExp|Object[]} identifier
+ * @param {String} name
+ *
+ * @returns {Boolean}
+ *
+ * @ignore
+ */
+function matchIdentifier(trie, identifier, name) {
+	if(validator.isArray(identifier)) {
+		return identifier.some((identifier) => matchIdentifier(trie, identifier, name));
+	}
+
+	if(validator.isExpression(identifier)) {
+		return identifier.test(name);
+	}
+
+	return trie.isPattern(identifier) ? trie.test(identifier, name) : identifier === name;
+}
+
+/**
+ * Check if an event may cross the bridge
+ *
+ * @param {Object} properties
+ * @param {String} name
+ *
+ * @returns {Boolean}
+ *
+ * @ignore
+ */
+function isAllowed(properties, name) {
+	if(!validator.isString(name)) {
+		return false;
+	}
+
+	if(typeof properties.allow !== 'undefined' && !matchIdentifier(properties.trie, properties.allow, name)) {
+		return false;
+	}
+
+	return typeof properties.deny === 'undefined' || !matchIdentifier(properties.trie, properties.deny, name);
+}
+
+/**
+ * Summarize a dispatch report for the other side of the bridge
+ *
+ * @param {Report} report
+ *
+ * @returns {Object}
+ *
+ * @ignore
+ */
+function summarize(report) {
+	return {
+		isCanceled:       report.isCanceled,
+		defaultPrevented: report.defaultPrevented,
+		executed:         report.executed.length,
+		results:          report.results,
+		errors:           report.errors.map((error) => serializer.sanitize(error))
+	};
+}
+
+/**
+ * Post a message to the port
+ *
+ * @param {Object} properties
+ * @param {Object} message
+ *
+ * @ignore
+ */
+function post(properties, message) {
+	message.tag = tag;
+
+	if(validator.isCallback(properties.port.postMessage)) {
+		properties.port.postMessage(message);
+	} else {
+		properties.port.send(message);
+	}
+}
+
+/**
+ * Pass an event dispatched locally to the other side of the bridge
+ *
+ * Events short-circuited by middleware don't get passed, neither do
+ * events whose details fail to serialize or post.
+ *
+ * @param {Object} properties
+ * @param {Object} context
+ *
+ * @ignore
+ */
+function forward(properties, context) {
+	let trail = context.options.trail || [];
+
+	if(!context.report || trail.indexOf(properties.id) !== -1 || !isAllowed(properties, context.name)) {
+		return;
+	}
+
+	try {
+		post(properties, { type: 'emit', name: context.name, details: properties.serialize(context.details), trail: trail.concat(properties.id) });
+	} catch(error) {
+		return;
+	}
+}
+
+/**
+ * Emit an event received from the other side of the bridge
+ *
+ * @param {Object} properties
+ * @param {Object} message
+ *
+ * @ignore
+ */
+function receiveEmit(properties, message) {
+	let descriptor = { name: message.name, trail: message.trail.concat(properties.id) };
+	let details    = properties.deserialize(message.details);
+
+	if(!message.id) {
+		if(isAllowed(properties, message.name)) {
+			properties.emitter.emit(descriptor, ...details);
+		}
+
+		return;
+	}
+
+	if(!isAllowed(properties, message.name)) {
+		return post(properties, { type: 'reply', id: message.id, summary: null });
+	}
+
+	properties.emitter.emitAsync(descriptor, ...details).then(
+		(report) => {
+			reply(properties, message.id, report);
+		},
+		(error) => {
+			post(properties, { type: 'reply', id: message.id, error: serializer.sanitize(error) });
+		}
+	);
+}
+
+/**
+ * Reply the summarized report of a remote emit
+ *
+ * Replies with an error instead if the summary fails to serialize or post.
+ *
+ * @param {Object} properties
+ * @param {String} id
+ * @param {Report=} report
+ *
+ * @ignore
+ */
+function reply(properties, id, report) {
+	try {
+		post(properties, { type: 'reply', id: id, summary: report ? properties.serialize(summarize(report)) : null });
+	} catch(error) {
+		post(properties, { type: 'reply', id: id, error: serializer.sanitize(error) });
+	}
+}
+
+/**
+ * Settle a pending remote emit once its reply was received
+ *
+ * @param {Object} properties
+ * @param {Object} message
+ *
+ * @ignore
+ */
+function receiveReply(properties, message) {
+	let pending = properties.pending.get(message.id), summary;
+
+	if(!pending) {
+		return;
+	}
+
+	properties.pending.delete(message.id);
+
+	clearTimeout(pending.timer);
+
+	if(message.error) {
+		return pending.reject(serializer.restoreError(message.error));
+	}
+
+	if((summary = message.summary && properties.deserialize(message.summary))) {
+		summary.errors = summary.errors.map(serializer.restoreError);
+	}
+
+	pending.resolve(summary || null);
+}
+
+class Bridge {
+	/**
+	 * Bridge constructor
+	 *
+	 * @param {Emitter} emitter
+	 * @param {MessagePort|Worker|ChildProcess|Object} port
+	 * @param {Object=} options
+	 * @param {String|RegExp|Object[]=} options.allow
+	 * @param {String|RegExp|Object[]=} options.deny
+	 * @param {String=} options.delimiter
+	 * @param {Function=} options.serialize
+	 * @param {Function=} options.deserialize
+	 * @param {Number=} options.timeout
+	 */
+	constructor(emitter, port, options) {
+		let properties;
+
+		options = validator.normalizeBridgeOptions(options || {});
+
+		if(!port || (!validator.isCallback(port.postMessage) && !validator.isCallback(port.send)) || !validator.isCallback(port.on) || !validator.isCallback(port.removeListener)) {
+			throw new TypeError('Port must be a MessagePort, Worker, ChildProcess or offer postMessage() or send(), on() and removeListener()');
+		}
+
+		properties = {
+			id:          crypto.randomBytes(8).toString('hex'),
+			emitter:     emitter,
+			port:        port,
+			allow:       options.allow,
+			deny:        options.deny,
+			trie:        new Trie(options.delimiter),
+			serialize:   options.serialize || serializer.sanitize,
+			deserialize: options.deserialize || ((value) => value),
+			timeout:     options.timeout,
+			pending:     new Map(),
+			sequence:    0,
+			closed:      false
+		};
+
+		properties.middleware = (context, next) => {
+			let result = next();
+
+			if(validator.isThenable(result)) {
+				return result.then(
+					(value) => {
+						forward(properties, context);
+
+						return value;
+					},
+					(error) => {
+						forward(properties, context);
+
+						throw error;
+					}
+				);
+			}
+
+			forward(properties, context);
+
+			return result;
+		};
+
+		properties.receive = (message) => {
+			if(!message || message.tag !== tag) {
+				return;
+			}
+
+			if(message.type === 'emit') {
+				receiveEmit(properties, message);
+			} else if(message.type === 'reply') {
+				receiveReply(properties, message);
+			}
+		};
+
+		properties.close = () => {
+			this.close();
+		};
+
+		weakmap.set(this, properties);
+
+		emitter.use(properties.middleware);
+		port.on('message', properties.receive);
+		port.on('close', properties.close);
+		port.on('exit', properties.close);
+		port.on('disconnect', properties.close);
+	}
+
+	/**
+	 * Emit an event on the other side of the bridge and wait for its summarized report
+	 *
+	 * Resolves with null if the event is not allowed or got short-circuited
+	 * by middleware on the other side, rejects if no reply was received
+	 * within options.timeout.
+	 *
+	 * @param {String} name
+	 * @param {...*} details
+	 *
+	 * @returns {Promise<Object|null>}
+	 */
+	emitAsync(name, ...details) {
+		let properties = weakmap.get(this);
+
+		return new Promise((resolve, reject) => {
+			let id, message, pending;
+
+			if(properties.closed) {
+				throw new Error('Bridge has been closed');
+			}
+
+			if(!isAllowed(properties, name)) {
+				return resolve(null);
+			}
+
+			id      = properties.id + ':' + (properties.sequence += 1);
+			message = { type: 'emit', id: id, name: name, details: properties.serialize(details), trail: [ properties.id ] };
+			pending = { resolve: resolve, reject: reject, timer: null };
+
+			if(properties.timeout) {
+				pending.timer = setTimeout(() => {
+					properties.pending.delete(id);
+
+					reject(errors.createError('TimeoutError', 'Timed out after ' + properties.timeout + 'ms'));
+				}, properties.timeout);
+			}
+
+			properties.pending.set(id, pending);
+
+			try {
+				post(properties, message);
+			} catch(error) {
+				properties.pending.delete(id);
+
+				clearTimeout(pending.timer);
+
+				throw error;
+			}
+		});
+	}
+
+	/**
+	 * Retrieve whether the bridge has been closed
+	 *
+	 * @returns {Boolean}
+	 */
+	get isClosed() {
+		return weakmap.get(this).closed;
+	}
+
+	/**
+	 * Disconnect the emitter from the port
+	 *
+	 * Pending remote emits get rejected, the port itself stays open.
+	 *
+	 * @returns {Bridge}
+	 */
+	close() {
+		let properties = weakmap.get(this), port = properties.port;
+
+		if(properties.closed) {
+			return this;
+		}
+
+		properties.closed = true;
+
+		properties.emitter.unuse(properties.middleware);
+
+		[ 'message', 'close', 'exit', 'disconnect' ].forEach((type) => {
+			port.removeListener(type, type === 'message' ? properties.receive : properties.close);
+		});
+
+		properties.pending.forEach((pending) => {
+			clearTimeout(pending.timer);
+
+			pending.reject(new Error('Bridge has been closed'));
+		});
+
+		properties.pending.clear();
+
+		return this;
+	}
+}
+
+module.exports = Bridge;
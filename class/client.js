@@ -0,0 +1,307 @@
+'use strict';
+
+const net        = require('net');
+const validator  = require('../helper/validator.js');
+const serializer = require('../helper/serializer.js');
+const ndjson     = require('../helper/ndjson.js');
+const weakmap    = new WeakMap();
+
+/**
+ * Write a message to the socket
+ *
+ * @param {Object} properties
+ * @param {Object} message
+ *
+ * @ignore
+ */
+function write(properties, message) {
+	properties.socket.write(ndjson.encode(message));
+}
+
+/**
+ * Settle all pending ready() calls
+ *
+ * @param {Object} properties
+ * @param {Error=} error
+ *
+ * @ignore
+ */
+function settle(properties, error) {
+	let waiters = properties.waiters;
+
+	properties.waiters = [];
+
+	waiters.forEach((waiter) => {
+		if(error) {
+			waiter.reject(error);
+		} else {
+			waiter.resolve();
+		}
+	});
+}
+
+/**
+ * Handle a message received from the server
+ *
+ * @param {Object} properties
+ * @param {Object} message
+ *
+ * @throws {TypeError}
+ *
+ * @ignore
+ */
+function receive(properties, message) {
+	if(!validator.isObject(message) || message.type !== 'event' || !validator.isString(message.name) || !validator.isArray(message.details)) {
+		throw new TypeError('Messages must be events consisting of a name and an array of details');
+	}
+
+	properties.emitter.emit(message.name, ...message.details);
+}
+
+/**
+ * Open a connection to the server, resubscribing and flushing queued emits once established
+ *
+ * @param {Object} properties
+ *
+ * @ignore
+ */
+function connect(properties) {
+	let socket = net.connect(properties.path ? { path: properties.path } : { port: properties.port, host: properties.host });
+
+	let parse = ndjson.createParser(
+		(message) => {
+			try {
+				receive(properties, message);
+			} catch(error) {
+				socket.destroy();
+			}
+		},
+		() => {
+			socket.destroy();
+		}
+	);
+
+	properties.socket = socket;
+	properties.timer  = null;
+
+	socket.setEncoding('utf8');
+	socket.on('data', parse);
+	socket.on('connect', () => {
+		properties.connected = true;
+		properties.delay     = properties.initialDelay;
+
+		properties.subscriptions.forEach((subscription, key) => {
+			write(properties, { type: 'subscribe', id: key, identifier: subscription });
+		});
+
+		properties.queue.splice(0).forEach((message) => write(properties, message));
+
+		settle(properties);
+	});
+	socket.on('error', (error) => {
+		properties.error = error;
+	});
+	socket.on('close', () => {
+		properties.connected = false;
+		properties.socket    = null;
+
+		if(properties.closed) {
+			return;
+		}
+
+		if(!properties.reconnect) {
+			properties.closed = true;
+
+			return settle(properties, properties.error || new Error('Connection has been closed'));
+		}
+
+		properties.timer = setTimeout(() => connect(properties), properties.delay);
+		properties.delay = Math.min(properties.delay * 2, properties.maxDelay);
+	});
+}
+
+class Client {
+	/**
+	 * Client constructor
+	 *
+	 * @param {Emitter} emitter
+	 * @param {Object} options
+	 * @param {Number=} options.port
+	 * @param {String=} options.host
+	 * @param {String=} options.path
+	 * @param {Boolean=} options.reconnect
+	 * @param {Number=} options.delay
+	 * @param {Number=} options.maxDelay
+	 * @param {Number=} options.maxQueue
+	 */
+	constructor(emitter, options) {
+		let properties;
+
+		options    = validator.normalizeClientOptions(options || {});
+		properties = Object.assign({}, options, {
+			emitter:       emitter,
+			initialDelay:  options.delay,
+			subscriptions: new Map(),
+			queue:         [],
+			waiters:       [],
+			socket:        null,
+			timer:         null,
+			error:         null,
+			connected:     false,
+			closed:        false
+		});
+
+		weakmap.set(this, properties);
+
+		connect(properties);
+	}
+
+	/**
+	 * Subscribe to events of the served emitter, emitting them on the local one
+	 *
+	 * Subscriptions get restored automatically after reconnecting.
+	 *
+	 * @param {String|RegExp|Object[]} identifier
+	 *
+	 * @returns {Client}
+	 */
+	subscribe(identifier) {
+		let properties = weakmap.get(this), encoded, key;
+
+		validator.assertIdentifier(identifier);
+
+		encoded = serializer.encodeIdentifier(identifier);
+		key     = JSON.stringify(encoded);
+
+		if(!properties.subscriptions.has(key)) {
+			properties.subscriptions.set(key, encoded);
+
+			if(properties.connected) {
+				write(properties, { type: 'subscribe', id: key, identifier: encoded });
+			}
+		}
+
+		return this;
+	}
+
+	/**
+	 * Remove a subscription created by subscribe()
+	 *
+	 * @param {String|RegExp|Object[]} identifier
+	 *
+	 * @returns {Client}
+	 */
+	unsubscribe(identifier) {
+		let properties = weakmap.get(this), key;
+
+		validator.assertIdentifier(identifier);
+
+		key = JSON.stringify(serializer.encodeIdentifier(identifier));
+
+		if(properties.subscriptions.delete(key) && properties.connected) {
+			write(properties, { type: 'unsubscribe', id: key });
+		}
+
+		return this;
+	}
+
+	/**
+	 * Emit an event on the served emitter
+	 *
+	 * While disconnected, emits get queued up to options.maxQueue,
+	 * dropping the oldest ones beyond.
+	 *
+	 * @param {String} name
+	 * @param {...*} details
+	 *
+	 * @returns {Client}
+	 *
+	 * @throws {Error}
+	 * @throws {TypeError}
+	 */
+	emit(name, ...details) {
+		let properties = weakmap.get(this), message;
+
+		if(properties.closed) {
+			throw new Error('Client has been closed');
+		}
+
+		if(!validator.isString(name)) {
+			throw new TypeError('Name must be a String');
+		}
+
+		message = { type: 'emit', name: name, details: serializer.sanitize(details) };
+
+		if(properties.connected) {
+			write(properties, message);
+		} else {
+			properties.queue.push(message);
+
+			if(properties.queue.length > properties.maxQueue) {
+				properties.queue.shift();
+			}
+		}
+
+		return this;
+	}
+
+	/**
+	 * Wait for the connection to be established
+	 *
+	 * @returns {Promise<Client>}
+	 */
+	ready() {
+		let properties = weakmap.get(this);
+
+		return new Promise((resolve, reject) => {
+			if(properties.closed) {
+				throw properties.error || new Error('Client has been closed');
+			}
+
+			if(properties.connected) {
+				return resolve();
+			}
+
+			properties.waiters.push({ resolve: resolve, reject: reject });
+		}).then(() => this);
+	}
+
+	/**
+	 * Retrieve whether the client is currently connected
+	 *
+	 * @returns {Boolean}
+	 */
+	get isConnected() {
+		return weakmap.get(this).connected;
+	}
+
+	/**
+	 * Disconnect from the server and stop reconnecting
+	 *
+	 * Queued emits get discarded, pending ready() calls rejected.
+	 *
+	 * @returns {Client}
+	 */
+	close() {
+		let properties = weakmap.get(this);
+
+		if(properties.closed) {
+			return this;
+		}
+
+		properties.closed = true;
+		properties.queue  = [];
+
+		clearTimeout(properties.timer);
+
+		if(properties.socket) {
+			properties.socket.destroy();
+		}
+
+		settle(properties, new Error('Client has been closed'));
+
+		return this;
+	}
+}
+
+module.exports = Client;
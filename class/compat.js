@@ -0,0 +1,624 @@
+'use strict';
+
+const util      = require('util');
+const Emitter   = require('../index.js');
+const validator = require('../helper/validator.js');
+const errors    = require('../helper/error.js');
+const weakmap   = new WeakMap();
+
+/**
+ * Assert that value is a valid maximum number of listeners
+ *
+ * @param {*} value
+ *
+ * @throws {RangeError}
+ *
+ * @ignore
+ */
+function assertMaxListeners(value) {
+	if(typeof value !== 'number' || value < 0 || isNaN(value)) {
+		throw new RangeError('Maximum number of listeners must be a non-negative number, got ' + util.inspect(value));
+	}
+}
+
+/**
+ * Normalize an event name, numbers becoming strings like they do for Node
+ *
+ * @param {*} name
+ *
+ * @returns {*}
+ *
+ * @ignore
+ */
+function normalizeName(name) {
+	return typeof name === 'number' ? String(name) : name;
+}
+
+/**
+ * Check if a value is a Node style event name
+ *
+ * @param {*} name
+ *
+ * @returns {Boolean}
+ *
+ * @ignore
+ */
+function isName(name) {
+	return validator.isString(name) || typeof name === 'symbol';
+}
+
+/**
+ * Retrieve the maximum number of listeners set for a context or, if unset, its class hierarchy
+ *
+ * @param {EventEmitter|Function} context
+ *
+ * @returns {Number|undefined}
+ *
+ * @ignore
+ */
+function retrieveMaxListeners(context) {
+	let scope = context, properties;
+
+	for(; scope && scope !== Emitter; scope = typeof scope === 'function' ? Object.getPrototypeOf(scope) : scope.constructor) {
+		if((properties = weakmap.get(scope)) && typeof properties.maxListeners !== 'undefined') {
+			return properties.maxListeners;
+		}
+	}
+}
+
+/**
+ * Check if a record belongs to a listener
+ *
+ * @param {Object} record
+ *
+ * @returns {Boolean}
+ *
+ * @ignore
+ */
+function matchRecord(record) {
+	return record.listener === this || record.raw === this;
+}
+
+/**
+ * Create a listener removing itself before its first call
+ *
+ * @param {String} name
+ * @param {Function} listener
+ *
+ * @returns {Function}
+ *
+ * @ignore
+ */
+function createOnce(name, listener) {
+	let emitter = this, fired = false;
+
+	function wrapper(...parameters) {
+		if(!fired) {
+			fired = true;
+
+			emitter.removeListener(name, wrapper);
+
+			return listener.apply(this, parameters);
+		}
+	}
+
+	wrapper.listener = listener;
+
+	return wrapper;
+}
+
+/**
+ * Adapt a Node style listener to the flexee listener signature
+ *
+ * Errors thrown during emit() get handed over to it instead of the
+ * error pipeline, so they can be thrown to the caller like Node does.
+ *
+ * @param {Object} properties
+ * @param {Function} raw
+ *
+ * @returns {Function}
+ *
+ * @ignore
+ */
+function adaptListener(properties, raw) {
+	return function(event, ...details) {
+		let frame = properties.frames[properties.frames.length - 1];
+
+		if(!frame || frame.name !== event.name) {
+			raw.apply(this, details);
+
+			return;
+		}
+
+		try {
+			raw.apply(this, details);
+		} catch(error) {
+			frame.failed = true;
+			frame.error  = error;
+
+			event.cancel();
+			event.stopPropagation();
+		}
+	};
+}
+
+/**
+ * Register a Node style listener
+ *
+ * Symbols are no valid flexee identifiers, listeners for them only get
+ * recorded and called by emit() directly.
+ *
+ * @param {String|Symbol} name
+ * @param {Function} listener
+ * @param {Boolean} prepend
+ * @param {Boolean} once
+ *
+ * @returns {EventEmitter}
+ *
+ * @throws {TypeError}
+ *
+ * @ignore
+ */
+function addListener(name, listener, prepend, once) {
+	let properties = weakmap.get(this), record, records;
+
+	validator.assertCallback(listener);
+
+	record          = { listener: listener, raw: once ? createOnce.call(this, name, listener) : listener };
+	record.callback = adaptListener(properties, record.raw);
+
+	if(this.listener('newListener').length) {
+		this.emit('newListener', name, listener);
+	}
+
+	if(typeof name !== 'symbol') {
+		record.subscription = Emitter.prototype.on.call(this, name, record.callback, { prepend: prepend, literal: true, subscription: true });
+	}
+
+	records = properties.records.get(name) || [];
+
+	records[prepend ? 'unshift' : 'push'](record);
+	properties.records.set(name, records);
+
+	return this;
+}
+
+/**
+ * Emit an event named by a Symbol
+ *
+ * @param {Symbol} name
+ * @param {Object[]} details
+ *
+ * @returns {Boolean}
+ *
+ * @throws {Error}
+ *
+ * @ignore
+ */
+function emitSymbol(name, details) {
+	let records = (weakmap.get(this).records.get(name) || []).slice();
+
+	records.forEach((record) => {
+		record.raw.apply(this, details);
+	});
+
+	return records.length > 0;
+}
+
+/**
+ * Create the error thrown for an unhandled "error" event
+ *
+ * @param {*} value
+ *
+ * @returns {Error}
+ *
+ * @ignore
+ */
+function createUnhandledError(value) {
+	let error;
+
+	if(value instanceof Error) {
+		return value;
+	}
+
+	error         = errors.createError('Error', 'Unhandled error. (' + util.inspect(value) + ')');
+	error.code    = 'ERR_UNHANDLED_ERROR';
+	error.context = value;
+
+	return error;
+}
+
+class EventEmitter extends Emitter {
+	/**
+	 * EventEmitter constructor
+	 */
+	constructor() {
+		super();
+
+		weakmap.set(this, { records: new Map(), frames: [] });
+	}
+
+	/**
+	 * Subscribe a listener
+	 *
+	 * Passing more than two arguments or an identifier other than a String,
+	 * Number or Symbol falls back to the flexee signature of on().
+	 *
+	 * @param {String|Number|Symbol|RegExp|Object[]} name
+	 * @param {Function} listener
+	 * @param {...*} parameters
+	 *
+	 * @returns {EventEmitter|Subscription}
+	 */
+	on(name, listener, ...parameters) {
+		name = normalizeName(name);
+
+		if(parameters.length || !isName(name)) {
+			return super.on(name, listener, ...parameters);
+		}
+
+		return addListener.call(this, name, listener, false, false);
+	}
+
+	/**
+	 * Subscribe a listener, alias of on()
+	 *
+	 * @param {String|Number|Symbol} name
+	 * @param {Function} listener
+	 *
+	 * @returns {EventEmitter}
+	 */
+	addListener(name, listener) {
+		return this.on(name, listener);
+	}
+
+	/**
+	 * Subscribe a listener in front of all others
+	 *
+	 * @param {String|Number|Symbol|RegExp|Object[]} name
+	 * @param {Function} listener
+	 *
+	 * @returns {EventEmitter}
+	 */
+	prependListener(name, listener) {
+		name = normalizeName(name);
+
+		if(!isName(name)) {
+			return super.on(name, listener, true);
+		}
+
+		return addListener.call(this, name, listener, true, false);
+	}
+
+	/**
+	 * Subscribe a once only listener
+	 *
+	 * Passing more than two arguments or an identifier other than a String,
+	 * Number or Symbol falls back to the flexee signature of once().
+	 *
+	 * @param {String|Number|Symbol|RegExp|Object[]} name
+	 * @param {Function} listener
+	 * @param {...*} parameters
+	 *
+	 * @returns {EventEmitter|Subscription}
+	 */
+	once(name, listener, ...parameters) {
+		name = normalizeName(name);
+
+		if(parameters.length || !isName(name)) {
+			return super.once(name, listener, ...parameters);
+		}
+
+		return addListener.call(this, name, listener, false, true);
+	}
+
+	/**
+	 * Subscribe a once only listener in front of all others
+	 *
+	 * @param {String|Number|Symbol|RegExp|Object[]} name
+	 * @param {Function} listener
+	 *
+	 * @returns {EventEmitter}
+	 */
+	prependOnceListener(name, listener) {
+		name = normalizeName(name);
+
+		if(!isName(name)) {
+			return super.once(name, listener, true);
+		}
+
+		return addListener.call(this, name, listener, true, true);
+	}
+
+	/**
+	 * Remove the most recently added instance of a listener
+	 *
+	 * Listeners subscribed via the flexee signature get removed by off() of flexee.
+	 *
+	 * @param {String|Number|Symbol|RegExp|Object[]} name
+	 * @param {Function} listener
+	 *
+	 * @returns {EventEmitter}
+	 *
+	 * @throws {TypeError}
+	 */
+	removeListener(name, listener) {
+		let properties = weakmap.get(this), records, index, record;
+
+		name = normalizeName(name);
+
+		if(!isName(name)) {
+			return super.off(name, listener);
+		}
+
+		validator.assertCallback(listener);
+
+		records = properties.records.get(name) || [];
+		index   = records.length - 1;
+
+		while(index >= 0 && !matchRecord.call(listener, records[index])) {
+			index -= 1;
+		}
+
+		if(index === -1) {
+			return typeof name === 'symbol' ? this : super.off(name, listener);
+		}
+
+		record = records.splice(index, 1)[0];
+
+		if(!records.length) {
+			properties.records.delete(name);
+		}
+
+		if(record.subscription) {
+			record.subscription.unsubscribe();
+		}
+
+		if(this.listener('removeListener').length) {
+			this.emit('removeListener', name, record.listener);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Remove a listener, alias of removeListener()
+	 *
+	 * @param {String|Number|Symbol|RegExp|Object[]} name
+	 * @param {Function} listener
+	 *
+	 * @returns {EventEmitter}
+	 */
+	off(name, listener) {
+		return this.removeListener(name, listener);
+	}
+
+	/**
+	 * Remove all listeners that would get called for a certain event
+	 *
+	 * @param {String} name
+	 *
+	 * @returns {EventEmitter}
+	 */
+	offMatching(name) {
+		let properties = weakmap.get(this), callbacks = super.describe(name).map((descriptor) => descriptor.callback);
+
+		properties.records.forEach((records, key) => {
+			records.filter((record) => callbacks.indexOf(record.callback) !== -1).reverse().forEach((record) => {
+				this.removeListener(key, record.raw);
+			});
+		});
+
+		return super.offMatching(name);
+	}
+
+	/**
+	 * Remove a listener from all events
+	 *
+	 * @param {Function} callback
+	 *
+	 * @returns {EventEmitter}
+	 */
+	offCallback(callback) {
+		validator.assertCallback(callback);
+
+		this.eventNames().forEach((name) => {
+			while(this.listenerCount(name, callback)) {
+				this.removeListener(name, callback);
+			}
+		});
+
+		return super.offCallback(callback);
+	}
+
+	/**
+	 * Remove all listeners
+	 *
+	 * @returns {EventEmitter}
+	 */
+	offAll() {
+		this.removeAllListeners();
+
+		return super.offAll();
+	}
+
+	/**
+	 * Remove all listeners of an event or, if omitted, of all events
+	 *
+	 * @param {String|Number|Symbol=} name
+	 *
+	 * @returns {EventEmitter}
+	 */
+	removeAllListeners(name) {
+		let properties = weakmap.get(this);
+
+		name = normalizeName(name);
+
+		if(typeof name === 'undefined') {
+			this.eventNames().filter((name) => name !== 'removeListener').forEach((name) => this.removeAllListeners(name));
+
+			return this.removeAllListeners('removeListener');
+		}
+
+		(properties.records.get(name) || []).slice().reverse().forEach((record) => {
+			this.removeListener(name, record.raw);
+		});
+
+		return this;
+	}
+
+	/**
+	 * Emit an event synchronously
+	 *
+	 * Errors thrown by listeners get thrown to the caller, an "error"
+	 * event without any listeners throws its error.
+	 *
+	 * @param {String|Number|Symbol|Object} name
+	 * @param {...*} details
+	 *
+	 * @returns {Boolean} whether the event had listeners
+	 *
+	 * @throws {Error}
+	 */
+	emit(name, ...details) {
+		let properties, frame, listener;
+
+		name = normalizeName(name);
+
+		if(typeof name === 'symbol') {
+			return emitSymbol.call(this, name, details);
+		}
+
+		properties = weakmap.get(this);
+		frame      = { name: validator.isObject(name) ? name.name : name, failed: false, error: undefined };
+		listener   = this.listener(frame.name);
+
+		if(frame.name === 'error' && !listener.length) {
+			throw createUnhandledError(details[0]);
+		}
+
+		properties.frames.push(frame);
+
+		try {
+			this.emitSync(name, ...details);
+		} finally {
+			properties.frames.pop();
+		}
+
+		if(frame.failed) {
+			throw frame.error;
+		}
+
+		return listener.length > 0;
+	}
+
+	/**
+	 * Retrieve the listeners of an event
+	 *
+	 * @param {String|Number|Symbol} name
+	 *
+	 * @returns {Function[]}
+	 */
+	listeners(name) {
+		return (weakmap.get(this).records.get(normalizeName(name)) || []).map((record) => record.listener);
+	}
+
+	/**
+	 * Retrieve the listeners of an event including wrappers of once only listeners
+	 *
+	 * @param {String|Number|Symbol} name
+	 *
+	 * @returns {Function[]}
+	 */
+	rawListeners(name) {
+		return (weakmap.get(this).records.get(normalizeName(name)) || []).map((record) => record.raw);
+	}
+
+	/**
+	 * Retrieve the number of listeners of an event
+	 *
+	 * @param {String|Number|Symbol} name
+	 * @param {Function=} listener
+	 *
+	 * @returns {Number}
+	 */
+	listenerCount(name, listener) {
+		let records = weakmap.get(this).records.get(normalizeName(name)) || [];
+
+		return typeof listener === 'undefined' ? records.length : records.filter(matchRecord, listener).length;
+	}
+
+	/**
+	 * Retrieve the names of all events having listeners
+	 *
+	 * @returns {Array<String|Symbol>}
+	 */
+	eventNames() {
+		return Array.from(weakmap.get(this).records.keys());
+	}
+
+	/**
+	 * Set the number of listeners per event beyond which a warning gets emitted
+	 *
+	 * Like for Node any non-negative number is accepted, the emitter
+	 * itself warns once the count exceeds its integer part.
+	 *
+	 * @param {Number} count
+	 *
+	 * @returns {EventEmitter}
+	 *
+	 * @throws {RangeError}
+	 */
+	setMaxListeners(count) {
+		assertMaxListeners(count);
+
+		weakmap.get(this).maxListeners = count;
+
+		return super.setMaxListeners(Math.floor(count));
+	}
+
+	/**
+	 * Retrieve the number of listeners per event beyond which a warning gets emitted
+	 *
+	 * @param {String|RegExp=} identifier
+	 *
+	 * @returns {Number}
+	 */
+	getMaxListeners(identifier) {
+		let maximum = typeof identifier === 'undefined' ? retrieveMaxListeners(this) : undefined;
+
+		return typeof maximum !== 'undefined' ? maximum : super.getMaxListeners(identifier);
+	}
+
+	/**
+	 * Retrieve the default number of listeners per event beyond which a warning gets emitted
+	 *
+	 * @returns {Number}
+	 *
+	 * @static
+	 */
+	static get defaultMaxListeners() {
+		let maximum = retrieveMaxListeners(this);
+
+		return typeof maximum !== 'undefined' ? maximum : this.getMaxListeners();
+	}
+
+	/**
+	 * Set the default number of listeners per event beyond which a warning gets emitted
+	 *
+	 * @param {Number} count
+	 *
+	 * @throws {RangeError}
+	 *
+	 * @static
+	 */
+	static set defaultMaxListeners(count) {
+		assertMaxListeners(count);
+
+		weakmap.set(this, Object.assign(weakmap.get(this) || {}, { maxListeners: count }));
+
+		this.setMaxListeners(Math.floor(count));
+	}
+}
+
+module.exports = EventEmitter;
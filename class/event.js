@@ -13,16 +13,30 @@ class Event {
 		Object.defineProperty(this, 'name', { value: name, enumerable: true, configurable: false, writable: false });
 		Object.defineProperty(this, 'context', { value: context, enumerable: true, configurable: false, writable: false });
 
-		weakmap.set(this, { isCanceled: false });
+		weakmap.set(this, { isCanceled: false, isPropagationStopped: false, defaultPrevented: false, currentTarget: context, phase: 'target' });
 	}
 
 	/**
-	 * Cancel an events processing immediately
+	 * Cancel an events processing on the current emitter immediately
 	 */
 	cancel() {
 		weakmap.get(this).isCanceled = true;
 	}
 
+	/**
+	 * Stop an event from propagating to further emitters
+	 */
+	stopPropagation() {
+		weakmap.get(this).isPropagationStopped = true;
+	}
+
+	/**
+	 * Prevent the default action of an event from being executed
+	 */
+	preventDefault() {
+		weakmap.get(this).defaultPrevented = true;
+	}
+
 	/**
 	 * Retrieve an events cancelation state
 	 *
@@ -31,6 +45,68 @@ class Event {
 	get isCanceled() {
 		return weakmap.get(this).isCanceled;
 	}
+
+	/**
+	 * Retrieve an events propagation state
+	 *
+	 * @returns {Boolean}
+	 */
+	get isPropagationStopped() {
+		return weakmap.get(this).isPropagationStopped;
+	}
+
+	/**
+	 * Retrieve whether the default action of an event was prevented
+	 *
+	 * @returns {Boolean}
+	 */
+	get defaultPrevented() {
+		return weakmap.get(this).defaultPrevented;
+	}
+
+	/**
+	 * Retrieve the emitter an event was emitted on
+	 *
+	 * @returns {Emitter}
+	 */
+	get target() {
+		return this.context;
+	}
+
+	/**
+	 * Retrieve the emitter an event is currently processed by
+	 *
+	 * @returns {Emitter}
+	 */
+	get currentTarget() {
+		return weakmap.get(this).currentTarget;
+	}
+
+	/**
+	 * Retrieve the propagation phase an event is currently in
+	 *
+	 * @returns {String}
+	 */
+	get phase() {
+		return weakmap.get(this).phase;
+	}
+
+	/**
+	 * Move an event on to the next emitter of its propagation path
+	 *
+	 * @param {Event} event
+	 * @param {Emitter} currentTarget
+	 * @param {String} phase
+	 *
+	 * @ignore
+	 */
+	static propagate(event, currentTarget, phase) {
+		let properties = weakmap.get(event);
+
+		properties.isCanceled    = false;
+		properties.currentTarget = currentTarget;
+		properties.phase         = phase;
+	}
 }
 
-module.exports = Event;
\ No newline at end of file
+module.exports = Event;
@@ -0,0 +1,179 @@
+'use strict';
+
+const errors  = require('../helper/error.js');
+const weakmap = new WeakMap();
+
+/**
+ * Add an emitted event to the buffer or pass it to a pending consumer
+ *
+ * @param {Object} properties
+ * @param {Object} item
+ *
+ * @ignore
+ */
+function push(properties, item) {
+	if(properties.closed) {
+		return;
+	}
+
+	if(properties.pending.length) {
+		properties.pending.shift().resolve({ value: item, done: false });
+
+		return;
+	}
+
+	if(properties.buffer.length >= properties.size) {
+		switch(properties.overflow) {
+			case 'drop-oldest':
+				properties.buffer.shift();
+				break;
+			case 'drop-newest':
+				return;
+			default:
+				return fail(properties, new RangeError('Event buffer exceeded its size of ' + properties.size));
+		}
+	}
+
+	properties.buffer.push(item);
+}
+
+/**
+ * Stop receiving events and release all resources
+ *
+ * @param {Object} properties
+ *
+ * @ignore
+ */
+function close(properties) {
+	properties.closed = true;
+
+	properties.subscription.unsubscribe();
+
+	if(properties.signal) {
+		properties.signal.removeEventListener('abort', properties.abort);
+	}
+}
+
+/**
+ * Stop receiving events because of an error
+ *
+ * @param {Object} properties
+ * @param {Error} error
+ *
+ * @ignore
+ */
+function fail(properties, error) {
+	close(properties);
+
+	if(properties.pending.length) {
+		properties.done = true;
+
+		properties.pending.splice(0).forEach((pending) => {
+			pending.reject(error);
+		});
+	} else {
+		properties.error = error;
+	}
+}
+
+class EventIterator {
+	/**
+	 * EventIterator constructor
+	 *
+	 * @param {Emitter} emitter
+	 * @param {String|RegExp|Object[]} identifier
+	 * @param {Object} options
+	 * @param {Number} options.size
+	 * @param {String} options.overflow
+	 * @param {Function=} options.filter
+	 * @param {AbortSignal=} options.signal
+	 */
+	constructor(emitter, identifier, options) {
+		let properties = {
+			size:     options.size,
+			overflow: options.overflow,
+			signal:   options.signal,
+			buffer:   [],
+			pending:  [],
+			error:    undefined,
+			closed:   false,
+			done:     false
+		};
+
+		properties.abort        = () => fail(properties, errors.createAbortError(properties.signal));
+		properties.subscription = emitter.on(identifier, (event, ...details) => {
+			push(properties, { event: event, details: details });
+		}, { filter: options.filter, subscription: true });
+
+		weakmap.set(this, properties);
+
+		if(properties.signal) {
+			if(properties.signal.aborted) {
+				properties.abort();
+			} else {
+				properties.signal.addEventListener('abort', properties.abort);
+			}
+		}
+	}
+
+	/**
+	 * Retrieve the next emitted event
+	 *
+	 * @returns {Promise<Object>}
+	 */
+	next() {
+		let properties = weakmap.get(this), error;
+
+		if(properties.buffer.length) {
+			return Promise.resolve({ value: properties.buffer.shift(), done: false });
+		}
+
+		if(properties.error) {
+			error            = properties.error;
+			properties.error = undefined;
+			properties.done  = true;
+
+			return Promise.reject(error);
+		}
+
+		if(properties.done) {
+			return Promise.resolve({ value: undefined, done: true });
+		}
+
+		return new Promise((resolve, reject) => {
+			properties.pending.push({ resolve: resolve, reject: reject });
+		});
+	}
+
+	/**
+	 * Stop receiving events
+	 *
+	 * @returns {Promise<Object>}
+	 */
+	return() {
+		let properties = weakmap.get(this);
+
+		close(properties);
+
+		properties.done          = true;
+		properties.error         = undefined;
+		properties.buffer.length = 0;
+
+		properties.pending.splice(0).forEach((pending) => {
+			pending.resolve({ value: undefined, done: true });
+		});
+
+		return Promise.resolve({ value: undefined, done: true });
+	}
+
+	/**
+	 * Retrieve the async iterator
+	 *
+	 * @returns {EventIterator}
+	 */
+	[Symbol.asyncIterator]() {
+		return this;
+	}
+}
+
+module.exports = EventIterator;
@@ -0,0 +1,304 @@
+'use strict';
+
+const validator = require('../helper/validator.js');
+const weakmap   = new WeakMap();
+const ids       = new WeakMap();
+
+let counter = 0;
+
+/**
+ * Retrieve a process wide unique id of an emitter
+ *
+ * @param {Emitter} emitter
+ *
+ * @returns {Number}
+ *
+ * @ignore
+ */
+function identify(emitter) {
+	if(!ids.has(emitter)) {
+		ids.set(emitter, (counter += 1));
+	}
+
+	return ids.get(emitter);
+}
+
+/**
+ * Describe a listener by its name
+ *
+ * @param {Function} callback
+ *
+ * @returns {String}
+ *
+ * @ignore
+ */
+function describeListener(callback) {
+	return callback.name || 'anonymous';
+}
+
+/**
+ * Add a record to the ring buffer, overwriting the oldest one once full
+ *
+ * @param {Object} properties
+ * @param {Object} record
+ *
+ * @ignore
+ */
+function append(properties, record) {
+	properties.buffer[(properties.start + properties.length) % properties.size] = record;
+
+	if(properties.length < properties.size) {
+		properties.length += 1;
+	} else {
+		properties.start = (properties.start + 1) % properties.size;
+	}
+}
+
+/**
+ * Create a record from a middleware context
+ *
+ * @param {Object} context
+ * @param {Number} timestamp
+ *
+ * @returns {Object}
+ *
+ * @ignore
+ */
+function createRecord(context, timestamp) {
+	let report = context.report;
+
+	return {
+		name:      context.name,
+		details:   context.details.slice(),
+		timestamp: timestamp,
+		emitter:   identify(context.emitter),
+		canceled:  !!(report && report.isCanceled),
+		listeners: report ? report.executed.map(describeListener) : []
+	};
+}
+
+/**
+ * Assert that value is able to use middleware
+ *
+ * @param {*} value
+ *
+ * @throws {TypeError}
+ *
+ * @ignore
+ */
+function assertContext(value) {
+	if(!value || !validator.isCallback(value.use) || !validator.isCallback(value.unuse)) {
+		throw new TypeError('Journal can only be attached to an Emitter or one of its instances');
+	}
+}
+
+/**
+ * Wait for a duration
+ *
+ * @param {Number} duration
+ *
+ * @returns {Promise}
+ *
+ * @ignore
+ */
+function delay(duration) {
+	return new Promise((resolve) => {
+		setTimeout(resolve, duration);
+	});
+}
+
+class Journal {
+	/**
+	 * Journal constructor
+	 *
+	 * @param {Object=} options
+	 * @param {Number=} options.size
+	 * @param {Function=} options.serialize
+	 * @param {Function=} options.deserialize
+	 */
+	constructor(options) {
+		let properties;
+
+		options    = validator.normalizeJournalOptions(options || {});
+		properties = { size: options.size, serialize: options.serialize, deserialize: options.deserialize, buffer: [], start: 0, length: 0 };
+
+		properties.middleware = (context, next) => {
+			let timestamp = Date.now(), result = next();
+
+			if(validator.isThenable(result)) {
+				return result.then(
+					(value) => {
+						append(properties, createRecord(context, timestamp));
+
+						return value;
+					},
+					(error) => {
+						append(properties, createRecord(context, timestamp));
+
+						throw error;
+					}
+				);
+			}
+
+			append(properties, createRecord(context, timestamp));
+
+			return result;
+		};
+
+		weakmap.set(this, properties);
+	}
+
+	/**
+	 * Start recording the events of an emitter or, for a class, of all its instances
+	 *
+	 * @param {Emitter} context
+	 *
+	 * @returns {Journal}
+	 */
+	attach(context) {
+		assertContext(context);
+
+		context.use(weakmap.get(this).middleware);
+
+		return this;
+	}
+
+	/**
+	 * Stop recording the events of an emitter or class
+	 *
+	 * @param {Emitter} context
+	 *
+	 * @returns {Journal}
+	 */
+	detach(context) {
+		assertContext(context);
+
+		context.unuse(weakmap.get(this).middleware);
+
+		return this;
+	}
+
+	/**
+	 * Retrieve all records, oldest first
+	 *
+	 * @returns {Object[]}
+	 */
+	records() {
+		let properties = weakmap.get(this), records = [], i = 0, record;
+
+		for(; i < properties.length; i++) {
+			record = properties.buffer[(properties.start + i) % properties.size];
+
+			records.push(Object.assign({}, record, { details: record.details.slice(), listeners: record.listeners.slice() }));
+		}
+
+		return records;
+	}
+
+	/**
+	 * Remove all records
+	 *
+	 * @returns {Journal}
+	 */
+	clear() {
+		let properties = weakmap.get(this);
+
+		properties.buffer = [];
+		properties.start  = 0;
+		properties.length = 0;
+
+		return this;
+	}
+
+	/**
+	 * Emit all records on a target emitter
+	 *
+	 * Records get emitted one after another, optionally keeping
+	 * their original timing, sped up by options.speed.
+	 *
+	 * @param {Emitter} target
+	 * @param {Object=} options
+	 * @param {Boolean=} options.timing
+	 * @param {Number=} options.speed
+	 *
+	 * @returns {Promise<Report[]>}
+	 */
+	async replay(target, options) {
+		let records = this.records(), reports = [], start = Date.now(), i = 0, record, wait;
+
+		options = validator.normalizeReplayOptions(options || {});
+
+		if(!target || !validator.isCallback(target.emitAsync)) {
+			throw new TypeError('Journal can only be replayed on an Emitter instance');
+		}
+
+		for(; (record = records[i]); i++) {
+			if(options.timing && (wait = start + (record.timestamp - records[0].timestamp) / options.speed - Date.now()) > 0) {
+				await delay(wait);
+			}
+
+			reports.push(await target.emitAsync(record.name, ...record.details));
+		}
+
+		return reports;
+	}
+
+	/**
+	 * Serialize all records to JSON lines
+	 *
+	 * @returns {String}
+	 */
+	toJSONL() {
+		let serialize = weakmap.get(this).serialize;
+
+		return this.records().map((record) => {
+			if(serialize) {
+				record.details = serialize(record.details);
+			}
+
+			return JSON.stringify(record) + '\n';
+		}).join('');
+	}
+
+	/**
+	 * Add records from JSON lines
+	 *
+	 * @param {String} jsonl
+	 *
+	 * @returns {Journal}
+	 *
+	 * @throws {TypeError}
+	 * @throws {SyntaxError}
+	 */
+	load(jsonl) {
+		let properties = weakmap.get(this);
+
+		if(!validator.isString(jsonl)) {
+			throw new TypeError('Journal can only be loaded from a String');
+		}
+
+		jsonl.split(/\r?\n/).forEach((line) => {
+			let record;
+
+			if(!line.trim()) {
+				return;
+			}
+
+			record = JSON.parse(line);
+
+			if(properties.deserialize) {
+				record.details = properties.deserialize(record.details);
+			}
+
+			if(!validator.isString(record.name) || !validator.isArray(record.details)) {
+				throw new TypeError('Journal records must consist of a name and an array of details');
+			}
+
+			append(properties, record);
+		});
+
+		return this;
+	}
+}
+
+module.exports = Journal;
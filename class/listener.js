@@ -1,5 +1,7 @@
 'use strict';
 
+let sequence = 0;
+
 class Listener {
 	/**
 	 * Listener constructor
@@ -7,15 +9,139 @@ class Listener {
 	 * @param {Object} storage
 	 * @param {String|RegExp} identifier
 	 * @param {Function} callback
-	 * @param {Boolean=} prepend
-	 * @param {Number=} limit
+	 * @param {Object} options
+	 * @param {Boolean=} options.prepend
+	 * @param {Number=} options.limit
+	 * @param {Number=} options.priority
+	 * @param {*=} options.context
+	 * @param {Function=} options.filter
+	 * @param {Boolean=} options.capture
+	 * @param {Boolean=} options.literal
+	 * @param {Object=} options.timing
 	 */
-	constructor(storage, identifier, callback, prepend, limit) {
+	constructor(storage, identifier, callback, options) {
+		this.storage    = storage;
 		this.identifier = identifier;
 		this.callback   = callback;
-		this.timestamp  = !prepend ? +new Date() : (storage.timestamp = storage.timestamp - 1);
-		this.remaining  = limit;
+		this.priority   = options.priority || 0;
+		this.sequence   = !options.prepend ? (sequence += 1) : -(sequence += 1);
+		this.remaining  = options.limit;
+		this.context    = options.context;
+		this.filter     = options.filter;
+		this.capture    = !!options.capture;
+		this.literal    = !!options.literal;
+		this.timing     = options.timing;
+		this.timer      = undefined;
+		this.pending    = undefined;
+		this.isActive   = true;
+		this.onDispose  = undefined;
+		this.origin     = undefined;
+	}
+
+	/**
+	 * Check if a listener accepts an event
+	 *
+	 * @param {Object} context
+	 * @param {Event} event
+	 * @param {Object[]} details
+	 *
+	 * @returns {Boolean}
+	 */
+	accepts(context, event, details) {
+		return this.remaining !== 0 && (!this.filter || !!this.filter.call(this.resolveContext(context), event, ...details));
+	}
+
+	/**
+	 * Call a listener
+	 *
+	 * @param {Object} context
+	 * @param {Event} event
+	 * @param {Object[]} details
+	 *
+	 * @returns {*}
+	 */
+	call(context, event, details) {
+		return this.callback.call(this.resolveContext(context), event, ...details);
+	}
+
+	/**
+	 * Schedule a debounced or throttled call of a listener
+	 *
+	 * @param {Function} invoke
+	 */
+	schedule(invoke) {
+		let timing = this.timing, leading;
+
+		if(timing.type === 'debounce') {
+			leading = timing.leading && !this.timer;
+
+			clearTimeout(this.timer);
+
+			this.pending = (!leading && timing.trailing) ? invoke : undefined;
+			this.timer   = setTimeout(() => this.flush(false), timing.wait);
+
+			if(leading) {
+				invoke();
+			}
+		} else if(this.timer) {
+			this.pending = timing.trailing ? invoke : undefined;
+		} else {
+			this.pending = !timing.leading ? invoke : undefined;
+			this.timer   = setTimeout(() => this.flush(true), timing.wait);
+
+			if(timing.leading) {
+				invoke();
+			}
+		}
+	}
+
+	/**
+	 * Call a pending scheduled call of a listener
+	 *
+	 * @param {Boolean} restart start a new throttle window after calling
+	 *
+	 * @ignore
+	 */
+	flush(restart) {
+		let pending = this.pending;
+
+		this.timer   = undefined;
+		this.pending = undefined;
+
+		if(pending) {
+			pending();
+
+			if(restart && this.isActive) {
+				this.timer = setTimeout(() => this.flush(true), this.timing.wait);
+			}
+		}
+	}
+
+	/**
+	 * Resolve the context a listener gets called in
+	 *
+	 * @param {Object} context
+	 *
+	 * @returns {*}
+	 */
+	resolveContext(context) {
+		return typeof this.context !== 'undefined' ? this.context : context;
+	}
+
+	/**
+	 * Mark a listener as removed
+	 */
+	dispose() {
+		clearTimeout(this.timer);
+
+		this.isActive = false;
+		this.timer    = undefined;
+		this.pending  = undefined;
+
+		if(this.onDispose) {
+			this.onDispose(this);
+		}
 	}
 }
 
-module.exports = Listener;
\ No newline at end of file
+module.exports = Listener;
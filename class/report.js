@@ -0,0 +1,22 @@
+'use strict';
+
+class Report {
+	/**
+	 * Report constructor
+	 *
+	 * @param {Event} event
+	 */
+	constructor(event) {
+		this.event            = event;
+		this.executed         = [];
+		this.skipped          = [];
+		this.results          = [];
+		this.errors           = [];
+		this.outcomes         = [];
+		this.isCanceled       = false;
+		this.defaultPrevented = false;
+		this.defaultExecuted  = false;
+	}
+}
+
+module.exports = Report;
@@ -0,0 +1,238 @@
+'use strict';
+
+const net        = require('net');
+const validator  = require('../helper/validator.js');
+const serializer = require('../helper/serializer.js');
+const ndjson     = require('../helper/ndjson.js');
+const weakmap    = new WeakMap();
+
+/**
+ * Write a message to a connection, respecting its backpressure limit
+ *
+ * Once the socket stops accepting writes, further messages count as
+ * pending until it drains. Exceeding maxPending either drops the
+ * message or disconnects the client, depending on options.overflow.
+ *
+ * @param {Object} properties
+ * @param {Object} connection
+ * @param {Object} message
+ *
+ * @ignore
+ */
+function send(properties, connection, message) {
+	if(connection.socket.destroyed) {
+		return;
+	}
+
+	if(connection.pending >= properties.maxPending) {
+		if(properties.overflow === 'disconnect') {
+			connection.socket.destroy();
+		}
+
+		return;
+	}
+
+	if(!connection.socket.write(ndjson.encode(message)) || connection.pending) {
+		connection.pending += 1;
+	}
+}
+
+/**
+ * Map a subscription of a remote client onto the emitter
+ *
+ * Each event gets sent once per connection, even if matched by overlapping
+ * subscriptions. Events whose details cannot be serialized get dropped.
+ *
+ * @param {Object} properties
+ * @param {Object} connection
+ * @param {Object} message
+ *
+ * @ignore
+ */
+function subscribe(properties, connection, message) {
+	let identifier = serializer.decodeIdentifier(message.identifier);
+
+	if(connection.subscriptions.has(message.id)) {
+		connection.subscriptions.get(message.id).unsubscribe();
+	}
+
+	connection.subscriptions.set(message.id, properties.emitter.on(identifier, (event, ...details) => {
+		if(connection.events.has(event)) {
+			return;
+		}
+
+		connection.events.add(event);
+
+		try {
+			send(properties, connection, { type: 'event', id: message.id, name: event.name, details: serializer.sanitize(details) });
+		} catch(error) {
+			return;
+		}
+	}, { subscription: true }));
+}
+
+/**
+ * Handle a message received from a remote client
+ *
+ * @param {Object} properties
+ * @param {Object} connection
+ * @param {Object} message
+ *
+ * @throws {TypeError}
+ *
+ * @ignore
+ */
+function receive(properties, connection, message) {
+	if(!validator.isObject(message)) {
+		throw new TypeError('Messages must be objects');
+	}
+
+	switch(message.type) {
+		case 'subscribe':
+			return subscribe(properties, connection, message);
+		case 'unsubscribe':
+			if(connection.subscriptions.has(message.id)) {
+				connection.subscriptions.get(message.id).unsubscribe();
+				connection.subscriptions.delete(message.id);
+			}
+
+			return;
+		case 'emit':
+			if(!validator.isString(message.name) || !validator.isArray(message.details)) {
+				throw new TypeError('Emit messages must consist of a name and an array of details');
+			}
+
+			properties.emitter.emit(message.name, ...message.details);
+
+			return;
+		default:
+			throw new TypeError('Unknown message type ' + JSON.stringify(message.type));
+	}
+}
+
+/**
+ * Set up a newly accepted connection
+ *
+ * @param {Object} properties
+ * @param {net.Socket} socket
+ *
+ * @ignore
+ */
+function accept(properties, socket) {
+	let connection = { socket: socket, subscriptions: new Map(), events: new WeakSet(), pending: 0 };
+
+	let parse = ndjson.createParser(
+		(message) => {
+			try {
+				receive(properties, connection, message);
+			} catch(error) {
+				socket.destroy();
+			}
+		},
+		() => {
+			socket.destroy();
+		}
+	);
+
+	properties.connections.add(connection);
+
+	socket.setEncoding('utf8');
+	socket.on('data', parse);
+	socket.on('drain', () => {
+		connection.pending = 0;
+	});
+	socket.on('error', () => {});
+	socket.on('close', () => {
+		connection.subscriptions.forEach((subscription) => subscription.unsubscribe());
+		connection.subscriptions.clear();
+		properties.connections.delete(connection);
+	});
+}
+
+class Server {
+	/**
+	 * Server constructor
+	 *
+	 * @param {Emitter} emitter
+	 * @param {Object=} options
+	 * @param {Number=} options.maxPending
+	 * @param {String=} options.overflow
+	 */
+	constructor(emitter, options) {
+		let properties;
+
+		options    = validator.normalizeServerOptions(options || {});
+		properties = { emitter: emitter, maxPending: options.maxPending, overflow: options.overflow, connections: new Set() };
+
+		properties.server = net.createServer((socket) => {
+			accept(properties, socket);
+		});
+
+		weakmap.set(this, properties);
+	}
+
+	/**
+	 * Start listening on a TCP port or Unix domain socket
+	 *
+	 * Accepts the same arguments as net.Server#listen except for the callback.
+	 *
+	 * @param {...*} parameters
+	 *
+	 * @returns {Promise<Server>}
+	 */
+	listen(...parameters) {
+		let server = weakmap.get(this).server;
+
+		return new Promise((resolve, reject) => {
+			function onError(error) {
+				reject(error);
+			}
+
+			server.once('error', onError);
+			server.listen(...parameters, () => {
+				server.removeListener('error', onError);
+
+				resolve(this);
+			});
+		});
+	}
+
+	/**
+	 * Retrieve the address the server is listening on
+	 *
+	 * @returns {Object|String|null}
+	 */
+	address() {
+		return weakmap.get(this).server.address();
+	}
+
+	/**
+	 * Retrieve the number of connected clients
+	 *
+	 * @returns {Number}
+	 */
+	get connections() {
+		return weakmap.get(this).connections.size;
+	}
+
+	/**
+	 * Stop listening and disconnect all clients
+	 *
+	 * @returns {Promise<Server>}
+	 */
+	close() {
+		let properties = weakmap.get(this);
+
+		return new Promise((resolve) => {
+			properties.connections.forEach((connection) => connection.socket.destroy());
+
+			if(!properties.server.listening) {
+				return resolve(this);
+			}
+
+			properties.server.close(() => resolve(this));
+		});
+	}
+}
+
+module.exports = Server;
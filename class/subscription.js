@@ -0,0 +1,86 @@
+'use strict';
+
+const weakmap = new WeakMap();
+
+/**
+ * Check if a listener is still registered
+ *
+ * @param {Listener} listener
+ *
+ * @returns {Boolean}
+ *
+ * @ignore
+ */
+function isActive(listener) {
+	return listener.isActive;
+}
+
+class Subscription {
+	/**
+	 * Subscription constructor
+	 *
+	 * @param {Listener[]} listener
+	 * @param {Function} remove
+	 * @param {AbortSignal=} signal
+	 */
+	constructor(listener, remove, signal) {
+		let properties = { listener: listener, remove: remove, signal: signal, abort: this.unsubscribe.bind(this) };
+
+		weakmap.set(this, properties);
+
+		if(signal) {
+			if(signal.aborted) {
+				this.unsubscribe();
+			} else {
+				signal.addEventListener('abort', properties.abort);
+
+				listener.forEach((listener) => {
+					listener.onDispose = () => {
+						if(!this.isActive) {
+							signal.removeEventListener('abort', properties.abort);
+						}
+					};
+				});
+			}
+		}
+	}
+
+	/**
+	 * Remove all listeners of a subscription
+	 *
+	 * @returns {Subscription}
+	 */
+	unsubscribe() {
+		let properties = weakmap.get(this);
+
+		properties.listener.filter(isActive).forEach(properties.remove);
+
+		if(properties.signal) {
+			properties.signal.removeEventListener('abort', properties.abort);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Retrieve whether any listener of a subscription is still registered
+	 *
+	 * @returns {Boolean}
+	 */
+	get isActive() {
+		return weakmap.get(this).listener.some(isActive);
+	}
+
+	/**
+	 * Retrieve the remaining number of calls of a subscription
+	 *
+	 * @returns {Number}
+	 */
+	get remaining() {
+		return weakmap.get(this).listener.filter(isActive).reduce((remaining, listener) => {
+			return remaining + (listener.remaining || Infinity);
+		}, 0);
+	}
+}
+
+module.exports = Subscription;
@@ -0,0 +1,275 @@
+'use strict';
+
+const weakmap = new WeakMap();
+
+/**
+ * Create a trie node
+ *
+ * @returns {Object}
+ *
+ * @ignore
+ */
+function createNode() {
+	return { children: new Map(), listeners: [] };
+}
+
+/**
+ * Collect all listeners of a node and its descendants
+ *
+ * @param {Object} node
+ * @param {Listener[]} result
+ *
+ * @returns {Listener[]}
+ *
+ * @ignore
+ */
+function collectListeners(node, result) {
+	result.push(...node.listeners);
+
+	node.children.forEach((child) => {
+		collectListeners(child, result);
+	});
+
+	return result;
+}
+
+/**
+ * Collect all listeners of nodes matching the given segments
+ *
+ * @param {Object} node
+ * @param {String[]} segments
+ * @param {int} index
+ * @param {Set} result
+ *
+ * @ignore
+ */
+function matchNode(node, segments, index, result) {
+	let child = node.children.get('**'), i;
+
+	if(child) {
+		for(i = index; i <= segments.length; i++) {
+			matchNode(child, segments, i, result);
+		}
+	}
+
+	if(index === segments.length) {
+		node.listeners.forEach(result.add, result);
+
+		return;
+	}
+
+	if((child = node.children.get(segments[index]))) {
+		matchNode(child, segments, index + 1, result);
+	}
+
+	if((child = node.children.get('*'))) {
+		matchNode(child, segments, index + 1, result);
+	}
+}
+
+/**
+ * Check if pattern segments match name segments
+ *
+ * @param {String[]} pattern
+ * @param {int} p
+ * @param {String[]} segments
+ * @param {int} index
+ *
+ * @returns {Boolean}
+ *
+ * @ignore
+ */
+function matchSegments(pattern, p, segments, index) {
+	let i;
+
+	if(p === pattern.length) {
+		return index === segments.length;
+	}
+
+	if(pattern[p] === '**') {
+		for(i = index; i <= segments.length; i++) {
+			if(matchSegments(pattern, p + 1, segments, i)) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	return index < segments.length && (pattern[p] === '*' || pattern[p] === segments[index]) && matchSegments(pattern, p + 1, segments, index + 1);
+}
+
+/**
+ * Remove listeners from the node of a pattern and prune empty nodes
+ *
+ * @param {Object} node
+ * @param {String[]} segments
+ * @param {int} index
+ * @param {Function} filter
+ *
+ * @returns {Boolean} whether the node is empty
+ *
+ * @ignore
+ */
+function removeNode(node, segments, index, filter) {
+	let child;
+
+	if(index === segments.length) {
+		node.listeners = node.listeners.filter((listener) => {
+			if(filter(listener)) {
+				listener.dispose();
+
+				return false;
+			}
+
+			return true;
+		});
+	} else if((child = node.children.get(segments[index])) && removeNode(child, segments, index + 1, filter)) {
+		node.children.delete(segments[index]);
+	}
+
+	return !node.listeners.length && !node.children.size;
+}
+
+class Trie {
+	/**
+	 * Trie constructor
+	 *
+	 * @param {String} delimiter
+	 */
+	constructor(delimiter) {
+		weakmap.set(this, { delimiter: delimiter, root: createNode() });
+	}
+
+	/**
+	 * Retrieve the delimiter of event name segments
+	 *
+	 * @returns {String}
+	 */
+	get delimiter() {
+		return weakmap.get(this).delimiter;
+	}
+
+	/**
+	 * Change the delimiter and rebuild the trie
+	 *
+	 * @param {String} delimiter
+	 */
+	set delimiter(delimiter) {
+		let listeners = this.listeners();
+
+		weakmap.set(this, { delimiter: delimiter, root: createNode() });
+
+		listeners.forEach(this.add, this);
+	}
+
+	/**
+	 * Check if a name is a pattern, i.e. contains wildcard segments
+	 *
+	 * @param {String} name
+	 *
+	 * @returns {Boolean}
+	 */
+	isPattern(name) {
+		return name.split(this.delimiter).some((segment) => {
+			return segment === '*' || segment === '**';
+		});
+	}
+
+	/**
+	 * Add a listener for its pattern
+	 *
+	 * @param {Listener} listener
+	 */
+	add(listener) {
+		let node = weakmap.get(this).root;
+
+		listener.identifier.split(this.delimiter).forEach((segment) => {
+			if(!node.children.has(segment)) {
+				node.children.set(segment, createNode());
+			}
+
+			node = node.children.get(segment);
+		});
+
+		node.listeners.push(listener);
+	}
+
+	/**
+	 * Remove listeners of a pattern, optionally only those for a specific callback
+	 *
+	 * @param {String} pattern
+	 * @param {Function=} callback
+	 */
+	remove(pattern, callback) {
+		removeNode(weakmap.get(this).root, pattern.split(this.delimiter), 0, (listener) => {
+			return typeof callback === 'undefined' || listener.callback === callback;
+		});
+	}
+
+	/**
+	 * Remove a specific listener
+	 *
+	 * @param {Listener} listener
+	 */
+	removeListener(listener) {
+		removeNode(weakmap.get(this).root, listener.identifier.split(this.delimiter), 0, (candidate) => {
+			return candidate === listener;
+		});
+	}
+
+	/**
+	 * Retrieve all listeners whose pattern matches a name
+	 *
+	 * @param {String} name
+	 *
+	 * @returns {Listener[]}
+	 */
+	match(name) {
+		let result = new Set();
+
+		matchNode(weakmap.get(this).root, name.split(this.delimiter), 0, result);
+
+		return Array.from(result);
+	}
+
+	/**
+	 * Retrieve all listeners registered for exactly the given pattern
+	 *
+	 * @param {String} pattern
+	 *
+	 * @returns {Listener[]}
+	 */
+	retrieve(pattern) {
+		let node = weakmap.get(this).root, segments = pattern.split(this.delimiter), i = 0;
+
+		for(; node && i < segments.length; i++) {
+			node = node.children.get(segments[i]);
+		}
+
+		return node ? node.listeners.slice() : [];
+	}
+
+	/**
+	 * Check if a pattern matches a name
+	 *
+	 * @param {String} pattern
+	 * @param {String} name
+	 *
+	 * @returns {Boolean}
+	 */
+	test(pattern, name) {
+		return matchSegments(pattern.split(this.delimiter), 0, name.split(this.delimiter), 0);
+	}
+
+	/**
+	 * Retrieve all listeners
+	 *
+	 * @returns {Listener[]}
+	 */
+	listeners() {
+		return collectListeners(weakmap.get(this).root, []);
+	}
+}
+
+module.exports = Trie;
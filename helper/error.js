@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * Create an error of a specific name
+ *
+ * @param {String} name
+ * @param {String} message
+ *
+ * @returns {Error}
+ */
+function createError(name, message) {
+	let error = new Error(message);
+
+	error.name = name;
+
+	return error;
+}
+
+/**
+ * Create the error to reject with once a signal got aborted
+ *
+ * @param {AbortSignal} signal
+ *
+ * @returns {Error}
+ */
+function createAbortError(signal) {
+	return typeof signal.reason !== 'undefined' ? signal.reason : createError('AbortError', 'The operation was aborted');
+}
+
+module.exports = {
+	createError:      createError,
+	createAbortError: createAbortError
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+const maxLength = 1024 * 1024;
+
+/**
+ * Encode a message as a single line of JSON
+ *
+ * @param {Object} message
+ *
+ * @returns {String}
+ */
+function encode(message) {
+	return JSON.stringify(message) + '\n';
+}
+
+/**
+ * Create a parser for newline-delimited JSON
+ *
+ * The returned function accepts chunks of a stream and calls onMessage
+ * for each complete line. Malformed or overly long lines call onError
+ * and stop the parser.
+ *
+ * @param {Function} onMessage
+ * @param {Function} onError
+ *
+ * @returns {Function}
+ */
+function createParser(onMessage, onError) {
+	let buffer = '', failed = false;
+
+	function fail(error) {
+		failed = true;
+		buffer = '';
+
+		onError(error);
+	}
+
+	return function parse(chunk) {
+		let lines, message;
+
+		if(failed) {
+			return;
+		}
+
+		lines  = (buffer + chunk).split('\n');
+		buffer = lines.pop();
+
+		if(buffer.length > maxLength) {
+			return fail(new RangeError('Line exceeded the maximum length of ' + maxLength + ' characters'));
+		}
+
+		for(let i = 0; i < lines.length && !failed; i++) {
+			if(!lines[i].trim()) {
+				continue;
+			}
+
+			try {
+				message = JSON.parse(lines[i]);
+			} catch(error) {
+				return fail(error);
+			}
+
+			onMessage(message);
+		}
+	};
+}
+
+module.exports = {
+	encode:       encode,
+	createParser: createParser
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+const errors    = require('./error.js');
+const validator = require('./validator.js');
+
+/**
+ * Convert a value into one that survives structured cloning as well as JSON
+ *
+ * Functions and symbols get dropped, errors get converted into
+ * plain objects and other objects get copied recursively.
+ *
+ * @param {*} value
+ * @param {Set=} seen
+ *
+ * @returns {*}
+ *
+ * @throws {TypeError}
+ */
+function sanitize(value, seen) {
+	let result;
+
+	seen = seen || new Set();
+
+	if(typeof value === 'function' || typeof value === 'symbol') {
+		return undefined;
+	}
+
+	if(value === null || typeof value !== 'object' || value instanceof Date || value instanceof RegExp) {
+		return value;
+	}
+
+	if(value instanceof Error) {
+		return { name: value.name, message: value.message, stack: value.stack };
+	}
+
+	if(seen.has(value)) {
+		throw new TypeError('Details must not contain circular references');
+	}
+
+	seen.add(value);
+
+	if(validator.isArray(value)) {
+		result = value.map((item) => sanitize(item, seen));
+	} else {
+		result = {};
+
+		Object.keys(value).forEach((key) => {
+			let item = sanitize(value[key], seen);
+
+			if(typeof item !== 'undefined') {
+				result[key] = item;
+			}
+		});
+	}
+
+	seen.delete(value);
+
+	return result;
+}
+
+/**
+ * Restore an error converted by sanitize
+ *
+ * @param {Object} value
+ *
+ * @returns {Error}
+ */
+function restoreError(value) {
+	let error = errors.createError(value.name, value.message);
+
+	error.stack = value.stack;
+
+	return error;
+}
+
+/**
+ * Convert an identifier into plain data, RegExps becoming objects of source and flags
+ *
+ * @param {String|RegExp|Object[]} identifier
+ *
+ * @returns {String|Object|Object[]}
+ */
+function encodeIdentifier(identifier) {
+	if(validator.isArray(identifier)) {
+		return identifier.map(encodeIdentifier);
+	}
+
+	if(validator.isExpression(identifier)) {
+		return { source: identifier.source, flags: identifier.flags };
+	}
+
+	return identifier;
+}
+
+/**
+ * Restore an identifier converted by encodeIdentifier
+ *
+ * @param {String|Object|Object[]} value
+ *
+ * @returns {String|RegExp|Object[]}
+ *
+ * @throws {TypeError}
+ * @throws {SyntaxError}
+ */
+function decodeIdentifier(value) {
+	if(validator.isArray(value)) {
+		return value.map(decodeIdentifier);
+	}
+
+	if(validator.isObject(value) && validator.isString(value.source) && validator.isString(value.flags)) {
+		return new RegExp(value.source, value.flags);
+	}
+
+	validator.assertIdentifier(value);
+
+	return value;
+}
+
+module.exports = {
+	sanitize:         sanitize,
+	restoreError:     restoreError,
+	encodeIdentifier: encodeIdentifier,
+	decodeIdentifier: decodeIdentifier
+};
@@ -1,5 +1,22 @@
 'use strict';
 
+const options = {
+	listener: [ 'prepend', 'limit', 'priority', 'context', 'thisArg', 'signal', 'filter', 'once', 'subscription', 'capture', 'literal', 'debounce', 'throttle' ],
+	wait:     [ 'timeout', 'filter', 'signal' ],
+	iterator: [ 'size', 'overflow', 'filter', 'signal' ],
+	timing:   [ 'wait', 'leading', 'trailing' ],
+	journal:  [ 'size', 'serialize', 'deserialize' ],
+	replay:   [ 'timing', 'speed' ],
+	bridge:   [ 'allow', 'deny', 'delimiter', 'serialize', 'deserialize', 'timeout' ],
+	server:   [ 'maxPending', 'overflow' ],
+	client:   [ 'port', 'host', 'path', 'reconnect', 'delay', 'maxDelay', 'maxQueue' ]
+};
+
+const timings = {
+	debounce: { leading: false, trailing: true },
+	throttle: { leading: true, trailing: true }
+};
+
 /**
  * Check if identifier is of valid tye
  *
@@ -55,10 +72,535 @@ function isExpression(value) {
 	return (value instanceof RegExp);
 }
 
+/**
+ * Check if value is a plain object
+ *
+ * @param {*} value
+ *
+ * @returns {Boolean}
+ */
+function isObject(value) {
+	return (Object.prototype.toString.call(value) === '[object Object]');
+}
+
+/**
+ * Check if value is a valid dispatch strategy
+ *
+ * @param {*} value
+ *
+ * @returns {Boolean}
+ */
+function isStrategy(value) {
+	return (value === 'sequential' || value === 'parallel' || value === 'settled');
+}
+
+/**
+ * Check if value is a valid buffer overflow behaviour
+ *
+ * @param {*} value
+ *
+ * @returns {Boolean}
+ */
+function isOverflow(value) {
+	return (value === 'drop-oldest' || value === 'drop-newest' || value === 'throw');
+}
+
+/**
+ * Check if value is of type boolean
+ *
+ * @param {*} value
+ *
+ * @returns {Boolean}
+ */
+function isBoolean(value) {
+	return (typeof value === 'boolean');
+}
+
+/**
+ * Check if value is a valid limit
+ *
+ * @param {*} value
+ *
+ * @returns {Boolean}
+ */
+function isLimit(value) {
+	return (Number.isInteger(value) && value > 0);
+}
+
+/**
+ * Check if value is a valid timeout
+ *
+ * @param {*} value
+ *
+ * @returns {Boolean}
+ */
+function isTimeout(value) {
+	return (typeof value === 'number' && value > 0 && isFinite(value));
+}
+
+/**
+ * Check if value is a valid priority
+ *
+ * @param {*} value
+ *
+ * @returns {Boolean}
+ */
+function isPriority(value) {
+	return Number.isInteger(value);
+}
+
+/**
+ * Check if value is a thenable
+ *
+ * @param {*} value
+ *
+ * @returns {Boolean}
+ */
+function isThenable(value) {
+	return (value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function');
+}
+
+/**
+ * Check if value is an AbortSignal
+ *
+ * @param {*} value
+ *
+ * @returns {Boolean}
+ */
+function isSignal(value) {
+	return (value !== null && typeof value === 'object' && typeof value.aborted === 'boolean' && typeof value.addEventListener === 'function');
+}
+
+/**
+ * Describe the type of a value for error messages
+ *
+ * @param {*} value
+ *
+ * @returns {String}
+ *
+ * @ignore
+ */
+function describe(value) {
+	if(value === null) {
+		return 'null';
+	}
+
+	if(isArray(value)) {
+		return 'array';
+	}
+
+	if(isExpression(value)) {
+		return 'RegExp';
+	}
+
+	return typeof value;
+}
+
+/**
+ * Assert that value is an options object without unknown keys
+ *
+ * @param {*} value
+ * @param {String[]} keys
+ *
+ * @throws {TypeError}
+ *
+ * @ignore
+ */
+function assertKeys(value, keys) {
+	if(!isObject(value)) {
+		throw new TypeError('Options must be an object, got ' + describe(value));
+	}
+
+	Object.keys(value).forEach((key) => {
+		if(keys.indexOf(key) === -1) {
+			throw new TypeError('Unknown option "' + key + '"');
+		}
+	});
+}
+
+/**
+ * Assert that an option is either undefined or passes a check
+ *
+ * @param {Object} value
+ * @param {String} key
+ * @param {Function} check
+ * @param {String} expectation
+ *
+ * @throws {TypeError}
+ *
+ * @ignore
+ */
+function assertOption(value, key, check, expectation) {
+	if(typeof value[key] !== 'undefined' && !check(value[key])) {
+		throw new TypeError('Option "' + key + '" must be ' + expectation + ', got ' + describe(value[key]));
+	}
+}
+
+/**
+ * Assert that identifier is of valid type
+ *
+ * @param {*} identifier
+ *
+ * @throws {TypeError}
+ */
+function assertIdentifier(identifier) {
+	if(isArray(identifier)) {
+		identifier.forEach(assertIdentifier);
+	} else if(!isString(identifier) && !isExpression(identifier)) {
+		throw new TypeError('Identifier must be a String, a RegExp or an array of both, got ' + describe(identifier));
+	}
+}
+
+/**
+ * Assert that value is an array of identifiers
+ *
+ * @param {*} value
+ *
+ * @throws {TypeError}
+ */
+function assertIdentifiers(value) {
+	if(!isArray(value)) {
+		throw new TypeError('Identifiers must be an array, got ' + describe(value));
+	}
+
+	value.forEach(assertIdentifier);
+}
+
+/**
+ * Assert that value is a valid callback
+ *
+ * @param {*} value
+ *
+ * @throws {TypeError}
+ */
+function assertCallback(value) {
+	if(!isCallback(value)) {
+		throw new TypeError('Callback must be a function, got ' + describe(value));
+	}
+}
+
+/**
+ * Validate and normalize a debounce or throttle option
+ *
+ * @param {Object} value
+ * @param {String} type
+ *
+ * @returns {Object|undefined}
+ *
+ * @throws {TypeError}
+ *
+ * @ignore
+ */
+function normalizeTiming(value, type) {
+	let timing = value[type];
+
+	if(typeof timing === 'undefined') {
+		return;
+	}
+
+	if(!isObject(timing)) {
+		assertOption(value, type, isTimeout, 'a positive number or an object');
+
+		timing = { wait: timing };
+	}
+
+	assertKeys(timing, options.timing);
+
+	if(!isTimeout(timing.wait)) {
+		throw new TypeError('Option "' + type + '.wait" must be a positive number, got ' + describe(timing.wait));
+	}
+
+	assertOption(timing, 'leading', isBoolean, 'a boolean');
+	assertOption(timing, 'trailing', isBoolean, 'a boolean');
+
+	timing = Object.assign({ type: type }, timings[type], timing);
+
+	if(!timing.leading && !timing.trailing) {
+		throw new TypeError('Option "' + type + '" must either be leading or trailing');
+	}
+
+	return timing;
+}
+
+/**
+ * Validate and normalize listener options
+ *
+ * @param {*} value
+ *
+ * @returns {Object}
+ *
+ * @throws {TypeError}
+ */
+function normalizeOptions(value) {
+	assertKeys(value, options.listener);
+
+	assertOption(value, 'prepend', isBoolean, 'a boolean');
+	assertOption(value, 'limit', isLimit, 'a positive integer');
+	assertOption(value, 'priority', isPriority, 'an integer');
+	assertOption(value, 'signal', isSignal, 'an AbortSignal');
+	assertOption(value, 'filter', isCallback, 'a function');
+	assertOption(value, 'once', isBoolean, 'a boolean');
+	assertOption(value, 'subscription', isBoolean, 'a boolean');
+	assertOption(value, 'capture', isBoolean, 'a boolean');
+	assertOption(value, 'literal', isBoolean, 'a boolean');
+
+	if(value.once && typeof value.limit !== 'undefined' && value.limit !== 1) {
+		throw new TypeError('Options "once" and "limit" must not be combined');
+	}
+
+	if(typeof value.context !== 'undefined' && typeof value.thisArg !== 'undefined') {
+		throw new TypeError('Options "context" and "thisArg" must not be combined');
+	}
+
+	if(typeof value.debounce !== 'undefined' && typeof value.throttle !== 'undefined') {
+		throw new TypeError('Options "debounce" and "throttle" must not be combined');
+	}
+
+	return {
+		prepend:      !!value.prepend,
+		limit:        value.once ? 1 : value.limit,
+		priority:     value.priority || 0,
+		context:      typeof value.context !== 'undefined' ? value.context : value.thisArg,
+		signal:       value.signal,
+		filter:       value.filter,
+		subscription: !!value.subscription,
+		capture:      !!value.capture,
+		literal:      !!value.literal,
+		timing:       normalizeTiming(value, 'debounce') || normalizeTiming(value, 'throttle')
+	};
+}
+
+/**
+ * Normalize positional listener arguments
+ *
+ * Coerces them the way plain arguments always got treated, any value
+ * for prepend is taken for its truthiness and a limit other than a
+ * positive integer means no limit at all.
+ *
+ * @param {*} prepend
+ * @param {*} limit
+ * @param {*} priority
+ *
+ * @returns {Object}
+ *
+ * @throws {TypeError}
+ */
+function normalizePositionalOptions(prepend, limit, priority) {
+	return normalizeOptions({
+		prepend:  !!prepend,
+		limit:    isLimit(limit) ? limit : undefined,
+		priority: priority
+	});
+}
+
+/**
+ * Validate and normalize options for waiting on events
+ *
+ * @param {*} value
+ *
+ * @returns {Object}
+ *
+ * @throws {TypeError}
+ */
+function normalizeWaitOptions(value) {
+	assertKeys(value, options.wait);
+
+	assertOption(value, 'timeout', isTimeout, 'a positive number');
+	assertOption(value, 'filter', isCallback, 'a function');
+	assertOption(value, 'signal', isSignal, 'an AbortSignal');
+
+	return {
+		timeout: value.timeout,
+		filter:  value.filter,
+		signal:  value.signal
+	};
+}
+
+/**
+ * Validate and normalize options for iterating over events
+ *
+ * @param {*} value
+ *
+ * @returns {Object}
+ *
+ * @throws {TypeError}
+ */
+function normalizeIteratorOptions(value) {
+	assertKeys(value, options.iterator);
+
+	assertOption(value, 'size', isLimit, 'a positive integer');
+	assertOption(value, 'overflow', isOverflow, 'one of "drop-oldest", "drop-newest", "throw"');
+	assertOption(value, 'filter', isCallback, 'a function');
+	assertOption(value, 'signal', isSignal, 'an AbortSignal');
+
+	return {
+		size:     value.size || 100,
+		overflow: value.overflow || 'throw',
+		filter:   value.filter,
+		signal:   value.signal
+	};
+}
+
+/**
+ * Validate and normalize options for recording a journal
+ *
+ * @param {*} value
+ *
+ * @returns {Object}
+ *
+ * @throws {TypeError}
+ */
+function normalizeJournalOptions(value) {
+	assertKeys(value, options.journal);
+
+	assertOption(value, 'size', isLimit, 'a positive integer');
+	assertOption(value, 'serialize', isCallback, 'a function');
+	assertOption(value, 'deserialize', isCallback, 'a function');
+
+	return {
+		size:        value.size || 1000,
+		serialize:   value.serialize,
+		deserialize: value.deserialize
+	};
+}
+
+/**
+ * Validate and normalize options for replaying a journal
+ *
+ * @param {*} value
+ *
+ * @returns {Object}
+ *
+ * @throws {TypeError}
+ */
+function normalizeReplayOptions(value) {
+	assertKeys(value, options.replay);
+
+	assertOption(value, 'timing', isBoolean, 'a boolean');
+	assertOption(value, 'speed', isTimeout, 'a positive number');
+
+	return {
+		timing: !!value.timing,
+		speed:  value.speed || 1
+	};
+}
+
+/**
+ * Validate and normalize options for bridging an emitter
+ *
+ * @param {*} value
+ *
+ * @returns {Object}
+ *
+ * @throws {TypeError}
+ */
+function normalizeBridgeOptions(value) {
+	assertKeys(value, options.bridge);
+
+	assertOption(value, 'allow', isIdentifier, 'a String, a RegExp or an array of both');
+	assertOption(value, 'deny', isIdentifier, 'a String, a RegExp or an array of both');
+	assertOption(value, 'delimiter', (delimiter) => isString(delimiter) && !!delimiter.length, 'a non-empty String');
+	assertOption(value, 'serialize', isCallback, 'a function');
+	assertOption(value, 'deserialize', isCallback, 'a function');
+	assertOption(value, 'timeout', isTimeout, 'a positive number');
+
+	[ value.allow, value.deny ].forEach((identifier) => {
+		if(typeof identifier !== 'undefined') {
+			assertIdentifier(identifier);
+		}
+	});
+
+	return {
+		allow:       value.allow,
+		deny:        value.deny,
+		delimiter:   value.delimiter || '.',
+		serialize:   value.serialize,
+		deserialize: value.deserialize,
+		timeout:     value.timeout
+	};
+}
+
+/**
+ * Validate and normalize options for serving an emitter
+ *
+ * @param {*} value
+ *
+ * @returns {Object}
+ *
+ * @throws {TypeError}
+ */
+function normalizeServerOptions(value) {
+	assertKeys(value, options.server);
+
+	assertOption(value, 'maxPending', isLimit, 'a positive integer');
+	assertOption(value, 'overflow', (overflow) => overflow === 'drop' || overflow === 'disconnect', 'one of "drop", "disconnect"');
+
+	return {
+		maxPending: value.maxPending || 1000,
+		overflow:   value.overflow || 'drop'
+	};
+}
+
+/**
+ * Validate and normalize options for connecting to a served emitter
+ *
+ * @param {*} value
+ *
+ * @returns {Object}
+ *
+ * @throws {TypeError}
+ */
+function normalizeClientOptions(value) {
+	assertKeys(value, options.client);
+
+	assertOption(value, 'port', (port) => Number.isInteger(port) && port > 0 && port < 65536, 'a valid port number');
+	assertOption(value, 'host', isString, 'a String');
+	assertOption(value, 'path', (path) => isString(path) && !!path.length, 'a non-empty String');
+	assertOption(value, 'reconnect', isBoolean, 'a boolean');
+	assertOption(value, 'delay', isTimeout, 'a positive number');
+	assertOption(value, 'maxDelay', isTimeout, 'a positive number');
+	assertOption(value, 'maxQueue', isLimit, 'a positive integer');
+
+	if((typeof value.port === 'undefined') === (typeof value.path === 'undefined')) {
+		throw new TypeError('Either option "port" or option "path" must be specified');
+	}
+
+	return {
+		port:      value.port,
+		host:      value.host || 'localhost',
+		path:      value.path,
+		reconnect: value.reconnect !== false,
+		delay:     value.delay || 100,
+		maxDelay:  value.maxDelay || 5000,
+		maxQueue:  value.maxQueue || 1000
+	};
+}
+
 module.exports = {
-	isIdentifier: isIdentifier,
-	isCallback:   isCallback,
-	isString:     isString,
-	isArray:      isArray,
-	isExpression: isExpression
+	isIdentifier:               isIdentifier,
+	isCallback:                 isCallback,
+	isString:                   isString,
+	isArray:                    isArray,
+	isExpression:               isExpression,
+	isObject:                   isObject,
+	isStrategy:                 isStrategy,
+	isOverflow:                 isOverflow,
+	isBoolean:                  isBoolean,
+	isLimit:                    isLimit,
+	isTimeout:                  isTimeout,
+	isPriority:                 isPriority,
+	isThenable:                 isThenable,
+	isSignal:                   isSignal,
+	assertIdentifier:           assertIdentifier,
+	assertIdentifiers:          assertIdentifiers,
+	assertCallback:             assertCallback,
+	normalizeOptions:           normalizeOptions,
+	normalizePositionalOptions: normalizePositionalOptions,
+	normalizeWaitOptions:       normalizeWaitOptions,
+	normalizeIteratorOptions:   normalizeIteratorOptions,
+	normalizeJournalOptions:    normalizeJournalOptions,
+	normalizeReplayOptions:     normalizeReplayOptions,
+	normalizeBridgeOptions:     normalizeBridgeOptions,
+	normalizeServerOptions:     normalizeServerOptions,
+	normalizeClientOptions:     normalizeClientOptions
 };
\ No newline at end of file
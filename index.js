@@ -1,13 +1,36 @@
 'use strict';
 
-const Listener  = require('./class/listener.js');
-const Event     = require('./class/event.js');
-const validator = require('./helper/validator.js');
-const weakmap   = new WeakMap();
+const Listener      = require('./class/listener.js');
+const Event         = require('./class/event.js');
+const Report        = require('./class/report.js');
+const Subscription  = require('./class/subscription.js');
+const Trie          = require('./class/trie.js');
+const EventIterator = require('./class/iterator.js');
+const Journal       = require('./class/journal.js');
+const Bridge        = require('./class/bridge.js');
+const Server        = require('./class/server.js');
+const Client        = require('./class/client.js');
+const validator     = require('./helper/validator.js');
+const errors        = require('./helper/error.js');
+const weakmap       = new WeakMap();
+const cacheSize     = 1000;
+const maxListeners  = 10;
+const policies      = [ 'abort', 'continue' ];
+const leakPolicies  = [ 'warn', 'throw' ];
+const strategies    = {
+	sequential: applySequential,
+	parallel:   applyParallel,
+	settled:    applySettled
+};
+
+let sequence = 0;
 
 /**
  * Initialize a weakmap for a given context
  *
+ * The storages of the context and its broadcast scopes get
+ * resolved once and kept in order as storage.scopes.
+ *
  * @param {Emitter} context
  *
  * @returns {Emitter}
@@ -15,11 +38,51 @@ const weakmap   = new WeakMap();
  * @ignore
  */
 function initialize(context) {
-	weakmap.set(context, { timestamp: +new Date(), events: {}, expressions: [] });
+	let scopes    = retrieveScopes.call(context).slice(1).map(retrieveStorage);
+	let delimiter = scopes.length ? scopes[0].patterns.delimiter : '.';
+	let storage   = { events: {}, expressions: [], patterns: new Trie(delimiter), revision: 0, revisions: new Map(), cache: new Map(), localCache: new Map(), parent: undefined, middleware: [], replays: {}, retained: new Map(), errorHandler: undefined, errorPolicy: undefined, strategies: {}, maxListeners: undefined, limits: {}, leakPolicy: undefined, warned: new Set(), captureStacks: undefined };
+
+	storage.owner  = context;
+	storage.scopes = [ storage ].concat(scopes);
+
+	weakmap.set(context, storage);
 
 	return context;
 }
 
+/**
+ * Retrieve the storage of a context, initializing it for subclasses on first access
+ *
+ * @param {Emitter} context
+ *
+ * @returns {Object}
+ *
+ * @ignore
+ */
+function retrieveStorage(context) {
+	return weakmap.get(context) || weakmap.get(initialize(context));
+}
+
+/**
+ * Retrieve a context followed by its broadcast scopes
+ *
+ * Broadcast scopes are made up of the constructor chain of the
+ * context up to and including Emitter.
+ *
+ * @returns {Object[]}
+ *
+ * @ignore
+ */
+function retrieveScopes() {
+	let scopes = [ this ], scope = typeof this === 'function' ? Object.getPrototypeOf(this) : this.constructor;
+
+	for(; scope === Emitter || Emitter.isPrototypeOf(scope); scope = Object.getPrototypeOf(scope)) {
+		scopes.push(scope);
+	}
+
+	return scopes;
+}
+
 /**
  * Remove an event listener
  *
@@ -31,7 +94,13 @@ function initialize(context) {
  * @ignore
  */
 function filterRemoveEvent(listener) {
-	return listener.callback !== this;
+	if(typeof this.callback !== 'undefined' && listener.callback !== this.callback) {
+		return true;
+	}
+
+	listener.dispose();
+
+	return false;
 }
 
 /**
@@ -46,23 +115,50 @@ function filterRemoveEvent(listener) {
  * @ignore
  */
 function filterRemoveExpression(listener) {
-	return !(listener.identifier.toString() === this.identifier.toString() && (typeof this.callback === 'undefined' || listener.callback === this.callback));
+	if(!(listener.identifier.toString() === this.identifier.toString() && (typeof this.callback === 'undefined' || listener.callback === this.callback))) {
+		return true;
+	}
+
+	listener.dispose();
+
+	return false;
+}
+
+/**
+ * Remove a specific listener instance
+ *
+ * @param {Listener} listener
+ *
+ * @returns {Boolean}
+ *
+ * @ignore
+ */
+function filterRemoveListener(listener) {
+	if(listener !== this) {
+		return true;
+	}
+
+	listener.dispose();
+
+	return false;
 }
 
 /**
- * Sort listener array
+ * Sort listener array by priority and registration sequence
  *
  * @param {Object} a
- * @param {int} a.timestamp
+ * @param {int} a.priority
+ * @param {int} a.sequence
  * @param {Object} b
- * @param {int} b.timestamp
+ * @param {int} b.priority
+ * @param {int} b.sequence
  *
  * @returns {Number}
  *
  * @ignore
  */
 function sortListener(a, b) {
-	return a.timestamp - b.timestamp;
+	return (b.priority - a.priority) || (a.sequence - b.sequence);
 }
 
 /**
@@ -80,319 +176,2709 @@ function mapListener(listener) {
 }
 
 /**
- * Apply an event + optional details to all listener
+ * Filter fulfilled outcomes
  *
- * @param {Listener[]} listener
- * @param {Event} event
- * @param {Object[]=} details
+ * @param {Object} outcome
+ * @param {String} outcome.status
+ *
+ * @returns {Boolean}
  *
  * @ignore
  */
-async function applyEvent(listener, event, details) {
-	let i = 0, item;
+function filterFulfilled(outcome) {
+	return outcome.status === 'fulfilled';
+}
 
-	for(; (item = listener[i]); i++) {
-		if(item.remaining && !(item.remaining -= 1)) {
-			this.off(item.identifier, item.callback);
+/**
+ * Filter rejected outcomes
+ *
+ * @param {Object} outcome
+ * @param {String} outcome.status
+ *
+ * @returns {Boolean}
+ *
+ * @ignore
+ */
+function filterRejected(outcome) {
+	return outcome.status === 'rejected';
+}
+
+/**
+ * Convert the promise of a started listener into one of its outcome
+ *
+ * @param {Promise} promise
+ *
+ * @returns {Promise<Object>}
+ *
+ * @ignore
+ */
+function settleListener(promise) {
+	return promise.then(
+		(value) => {
+			return { status: 'fulfilled', value: value };
+		},
+		(reason) => {
+			return { status: 'rejected', reason: reason };
 		}
+	);
+}
 
-		await Promise.resolve(item.callback.call(this, event, ...details));
+/**
+ * Return an outcomes value
+ *
+ * @param {Object} outcome
+ * @param {*} outcome.value
+ *
+ * @returns {*}
+ *
+ * @ignore
+ */
+function mapOutcome(outcome) {
+	return outcome.value;
+}
 
-		if(event.isCanceled) {
-			break;
-		}
-	}
+/**
+ * Filter listeners subscribed for the capture phase
+ *
+ * @param {Listener} listener
+ *
+ * @returns {Boolean}
+ *
+ * @ignore
+ */
+function filterCapture(listener) {
+	return listener.capture;
 }
 
 /**
- * Subscribe an event listener
+ * Filter listeners subscribed for the bubble phase
  *
- * @param {String} name
- * @param {Function} callback
- * @param {Boolean=} prepend
- * @param {Number=} limit
+ * @param {Listener} listener
+ *
+ * @returns {Boolean}
  *
  * @ignore
  */
-function subscribeEvent(name, callback, prepend, limit) {
-	(this.events[name] = this.events[name] || []).push(new Listener(this, name, callback, prepend, limit));
+function filterBubble(listener) {
+	return !listener.capture;
 }
 
 /**
- * Unregister an event listener
+ * Filter propagation steps without listeners except for the target
  *
- * @param {String} name
- * @param {Function} callback
+ * @param {Object} step
+ *
+ * @returns {Boolean}
  *
  * @ignore
  */
-function unsubscribeEvent(name, callback) {
-	if(this.events[name]) {
-		if(callback) {
-			this.events[name] = this.events[name].filter(filterRemoveEvent, callback);
-		} else {
-			this.events[name].length = 0;
-		}
-	}
+function filterStep(step) {
+	return step.phase === 'target' || step.listener.length > 0;
 }
 
 /**
- * Subscribe an expression listener
+ * Consume a single call of a limited listener
  *
- * @param {RegExp} expression
- * @param {Function} callback
- * @param {Boolean=} prepend
- * @param {Number=} limit
+ * Debounced and throttled listeners get consumed once they
+ * actually get called instead.
+ *
+ * @param {Listener} listener
  *
  * @ignore
  */
-function subscribeExpression(expression, callback, prepend, limit) {
-	this.expressions.push(new Listener(this, expression, callback, prepend, limit));
+function consumeListener(listener) {
+	if(!listener.timing) {
+		releaseListener(listener);
+	}
 }
 
 /**
- * Unsubscribe an expression listener
+ * Decrement the remaining calls of a limited listener, removing it once exhausted
  *
- * @param {RegExp} expression
- * @param {Function} callback
+ * @param {Listener} listener
  *
  * @ignore
  */
-function unsubscribeExpression(expression, callback) {
-	this.expressions = this.expressions.filter(filterRemoveExpression, { identifier: expression, callback: callback });
+function releaseListener(listener) {
+	if(listener.remaining && !(listener.remaining -= 1)) {
+		removeListener(listener);
+	}
 }
 
 /**
- * Retrieve all listeners for a certain event
+ * Call a listener or schedule the call of a debounced or throttled one
  *
- * @param {String} name
+ * @param {Listener} listener
+ * @param {Event} event
+ * @param {Object[]} details
  *
- * @returns {Object[]}
+ * @returns {*}
  *
  * @ignore
  */
-function retrieveListener(name) {
-	let listener;
+function callListener(listener, event, details) {
+	if(!listener.timing) {
+		return listener.call(this, event, details);
+	}
 
-	if(validator.isString(name)) {
-		let storage  = weakmap.get(this);
+	listener.schedule(() => {
+		fireListener.call(this, listener, event, details);
+	});
+}
 
-		listener = storage.events[name] ? storage.events[name].slice() : [];
+/**
+ * Actually call a debounced or throttled listener
+ *
+ * @param {Listener} listener
+ * @param {Event} event
+ * @param {Object[]} details
+ *
+ * @ignore
+ */
+function fireListener(listener, event, details) {
+	let result;
 
-		if(this !== Emitter) {
-			listener = listener.concat(retrieveListener.call(Emitter, name));
-		}
+	releaseListener(listener);
 
-		storage.expressions.forEach((expression) => {
-			if(expression.identifier.test(name)) {
-				listener.push(expression);
-			}
-		});
+	try {
+		result = listener.call(this, event, details);
+	} catch(error) {
+		return handleError.call(this, error, event);
+	}
 
-		listener.sort(sortListener);
+	if(validator.isThenable(result)) {
+		result.then(null, (error) => handleError.call(this, error, event)).catch(raiseError);
 	}
+}
 
-	return listener || [];
+/**
+ * Invoke a listener
+ *
+ * @param {Listener} listener
+ * @param {Event} event
+ * @param {Object[]} details
+ *
+ * @returns {Promise}
+ *
+ * @ignore
+ */
+function invokeListener(listener, event, details) {
+	return new Promise((resolve) => {
+		resolve(callListener.call(this, listener, event, details));
+	});
 }
 
-class Emitter {
-	/**
-	 * Emitter constructor
-	 */
-	constructor() {
-		initialize(this);
-	}
+/**
+ * Start all listeners at once
+ *
+ * @param {Listener[]} listener
+ * @param {Event} event
+ * @param {Object[]} details
+ * @param {Report} report
+ *
+ * @returns {Promise[]}
+ *
+ * @ignore
+ */
+function startListener(listener, event, details, report) {
+	let pending = [], i = 0, item;
 
-	/**
-	 * Emit an event
-	 *
-	 * @param {String} name
-	 * @param {...*} details
-	 *
-	 * @returns {Emitter}
-	 */
-	emit(name, ...details) {
-		let listener = retrieveListener.call(this, name);
+	for(; (item = listener[i]); i++) {
+		if(!item.accepts(this, event, details)) {
+			continue;
+		}
+
+		if(event.isCanceled) {
+			report.skipped.push(item.callback);
 
-		if(listener.length) {
-			applyEvent.call(this, listener, new Event(name, this), details);
+			continue;
 		}
 
-		return this;
+		consumeListener.call(this, item);
+		report.executed.push(item.callback);
+		pending.push(invokeListener.call(this, item, event, details));
 	}
 
-	/**
-	 * Subscribe an event listener
-	 *
-	 * @param {String|RegExp|Object[]} identifier
-	 * @param {Function} callback
-	 * @param {Boolean=} prepend
-	 * @param {Number=} limit
-	 *
-	 * @returns {Emitter}
-	 */
-	on(identifier, callback, prepend, limit) {
-		return Emitter.on.call(this, identifier, callback, prepend, limit);
-	}
+	return pending;
+}
 
-	/**
-	 * Subscribe a once only event listener
-	 *
-	 * @param {String|RegExp|Object[]} identifier
-	 * @param {Function} callback
-	 * @param {Boolean=} prepend
-	 *
-	 * @returns {Emitter}
-	 */
-	once(identifier, callback, prepend) {
-		return Emitter.once.call(this, identifier, callback, prepend);
-	}
+/**
+ * Apply an event + optional details to all listener one after another
+ *
+ * If an accumulator gets passed, its value will be passed to each listener
+ * in front of the details and replaced by the listeners return value.
+ *
+ * @param {Listener[]} listener
+ * @param {Event} event
+ * @param {Object[]=} details
+ * @param {Report} report
+ * @param {Object=} accumulator
+ * @param {*} accumulator.value
+ *
+ * @returns {Promise}
+ *
+ * @ignore
+ */
+async function applySequential(listener, event, details, report, accumulator) {
+	let aborted = false, i = 0, item, parameters, result;
 
-	/**
-	 * Subscribe a limited event listener
-	 *
-	 * @param {String|RegExp|Object[]} identifier
-	 * @param {Number} limit
-	 * @param {Function} callback
-	 * @param {Boolean=} prepend
-	 *
-	 * @returns {Emitter}
-	 */
-	limit(identifier, limit, callback, prepend) {
-		return Emitter.limit.call(this, identifier, limit, callback, prepend);
-	}
+	for(; (item = listener[i]); i++) {
+		parameters = accumulator ? [ accumulator.value ].concat(details) : details;
 
-	/**
-	 * Unsubscribe an event listener
-	 *
-	 * @param {String|RegExp|Object[]} identifier
-	 * @param {Function=} callback
-	 *
-	 * @returns {Emitter}
-	 */
-	off(identifier, callback) {
-		return Emitter.off.call(this, identifier, callback);
-	}
+		if(!item.accepts(this, event, parameters)) {
+			continue;
+		}
 
-	/**
-	 * Retrieve all listeners for a certain event
-	 *
-	 * @param {String} name
-	 *
-	 * @returns {Object[]}
-	 */
-	listener(name) {
-		return Emitter.listener.call(this, name);
-	}
+		if(event.isCanceled || aborted) {
+			report.skipped.push(item.callback);
 
-	/**
-	 * Subscribe an event listener
-	 *
-	 * @param {String|RegExp|Object[]} identifier
-	 * @param {Function} callback
-	 * @param {Boolean=} prepend
-	 * @param {Number=} limit
-	 *
-	 * @returns {Emitter}
-	 *
-	 * @static
-	 */
-	static on(identifier, callback, prepend, limit) {
-		if(validator.isIdentifier(identifier) && validator.isCallback(callback)) {
-			let storage = weakmap.get(this);
+			continue;
+		}
 
-			if(validator.isString(identifier)) {
-				subscribeEvent.call(storage, identifier, callback, prepend, limit);
-			}
+		consumeListener.call(this, item);
+		report.executed.push(item.callback);
+
+		try {
+			result = await invokeListener.call(this, item, event, parameters);
+
+			report.results.push(result);
 
-			if(validator.isExpression(identifier)) {
-				subscribeExpression.call(storage, identifier, callback, prepend, limit);
+			if(accumulator) {
+				accumulator.value = result;
 			}
+		} catch(error) {
+			report.errors.push(error);
 
-			if(validator.isArray(identifier)) {
-				identifier.forEach((identifier) => {
-					this.on(identifier, callback, prepend, limit);
-				});
+			handleError.call(this, error, event);
+
+			if((aborted = retrieveSetting.call(this, 'errorPolicy') !== 'continue')) {
+				event.stopPropagation();
 			}
 		}
-
-		return this;
 	}
+}
 
-	/**
-	 * Subscribe a once only event listener
-	 *
-	 * @param {String|RegExp|Object[]} identifier
+/**
+ * Apply an event + optional details to all listener at once
+ *
+ * Errors get passed to the error pipeline once all listeners have settled,
+ * the first one remaining unhandled gets rethrown afterwards.
+ *
+ * @param {Listener[]} listener
+ * @param {Event} event
+ * @param {Object[]=} details
+ * @param {Report} report
+ *
+ * @returns {Promise}
+ *
+ * @throws {Error}
+ *
+ * @ignore
+ */
+async function applyParallel(listener, event, details, report) {
+	let outcomes = await Promise.all(startListener.call(this, listener, event, details, report).map(settleListener));
+	let unhandled;
+
+	report.results.push(...outcomes.filter(filterFulfilled).map(mapOutcome));
+
+	outcomes.filter(filterRejected).forEach((outcome) => {
+		report.errors.push(outcome.reason);
+
+		try {
+			handleError.call(this, outcome.reason, event);
+		} catch(error) {
+			unhandled = unhandled || { error: error };
+		}
+	});
+
+	if(unhandled) {
+		throw unhandled.error;
+	}
+}
+
+/**
+ * Apply an event + optional details to all listener at once and collect their outcomes
+ *
+ * @param {Listener[]} listener
+ * @param {Event} event
+ * @param {Object[]=} details
+ * @param {Report} report
+ *
+ * @returns {Promise}
+ *
+ * @ignore
+ */
+async function applySettled(listener, event, details, report) {
+	let outcomes = await Promise.all(startListener.call(this, listener, event, details, report).map(settleListener));
+
+	report.outcomes.push(...outcomes);
+	report.results.push(...outcomes.filter(filterFulfilled).map(mapOutcome));
+	report.errors.push(...outcomes.filter(filterRejected).map((outcome) => outcome.reason));
+}
+
+/**
+ * Apply an event + optional details to all listener synchronously
+ *
+ * @param {Listener[]} listener
+ * @param {Event} event
+ * @param {Object[]=} details
+ * @param {Report} report
+ *
+ * @throws {TypeError}
+ *
+ * @ignore
+ */
+function applySync(listener, event, details, report) {
+	let i = 0, item, result;
+
+	for(; (item = listener[i]) && !event.isCanceled; i++) {
+		if(!item.accepts(this, event, details)) {
+			continue;
+		}
+
+		consumeListener.call(this, item);
+		report.executed.push(item.callback);
+
+		try {
+			result = callListener.call(this, item, event, details);
+		} catch(error) {
+			report.errors.push(error);
+
+			handleError.call(this, error, event, true);
+
+			if(retrieveSetting.call(this, 'errorPolicy') !== 'continue') {
+				event.stopPropagation();
+
+				break;
+			}
+
+			continue;
+		}
+
+		if(validator.isThenable(result)) {
+			throw new TypeError('Listener for event "' + event.name + '" returned a thenable, use emitAsync() for asynchronous listeners');
+		}
+
+		report.results.push(result);
+	}
+}
+
+/**
+ * Pass an error thrown by a listener to the error pipeline
+ *
+ * Errors are emitted as "error" event if there are listeners for it,
+ * passed to the error handler of the emitter or the global one otherwise
+ * and thrown if neither exists.
+ *
+ * @param {Error} error
+ * @param {Event} event
+ * @param {Boolean=} sync
+ *
+ * @throws {Error}
+ *
+ * @ignore
+ */
+function handleError(error, event, sync) {
+	let handler;
+
+	if(event.name !== 'error' && retrieveListener.call(this, 'error').length) {
+		this[sync ? 'emitSync' : 'emit']('error', error, event);
+	} else if((handler = retrieveSetting.call(this, 'errorHandler'))) {
+		handler.call(this, error, event);
+	} else {
+		throw error;
+	}
+}
+
+/**
+ * Throw an unhandled error outside of the promise chain
+ *
+ * @param {Error} error
+ *
+ * @ignore
+ */
+function raiseError(error) {
+	process.nextTick(() => {
+		throw error;
+	});
+}
+
+/**
+ * Retrieve a setting, falling back to the ones of the broadcast scopes if unset
+ *
+ * @param {String} key
+ *
+ * @returns {*}
+ *
+ * @ignore
+ */
+function retrieveSetting(key) {
+	let scopes = retrieveStorage(this).scopes, value, i = 0;
+
+	for(; i < scopes.length && typeof value === 'undefined'; i++) {
+		value = scopes[i][key];
+	}
+
+	return value;
+}
+
+/**
+ * Subscribe an event listener
+ *
+ * @param {String} name
+ * @param {Function} callback
+ * @param {Object} options
+ *
+ * @returns {Listener}
+ *
+ * @ignore
+ */
+function subscribeEvent(name, callback, options) {
+	let listener = new Listener(this, name, callback, options);
+
+	(this.events[name] = this.events[name] || []).push(listener);
+	invalidateCache.call(this, name);
+
+	return listener;
+}
+
+/**
+ * Unregister an event listener
+ *
+ * @param {String} name
+ * @param {Function} callback
+ *
+ * @ignore
+ */
+function unsubscribeEvent(name, callback) {
+	if(this.events[name]) {
+		this.events[name] = this.events[name].filter(filterRemoveEvent, { callback: callback });
+
+		invalidateCache.call(this, name);
+	}
+}
+
+/**
+ * Subscribe an expression listener
+ *
+ * @param {RegExp} expression
+ * @param {Function} callback
+ * @param {Object} options
+ *
+ * @returns {Listener}
+ *
+ * @ignore
+ */
+function subscribeExpression(expression, callback, options) {
+	let listener = new Listener(this, expression, callback, options);
+
+	this.expressions.push(listener);
+	invalidateCache.call(this);
+
+	return listener;
+}
+
+/**
+ * Unsubscribe an expression listener
+ *
+ * @param {RegExp} expression
+ * @param {Function} callback
+ *
+ * @ignore
+ */
+function unsubscribeExpression(expression, callback) {
+	this.expressions = this.expressions.filter(filterRemoveExpression, { identifier: expression, callback: callback });
+
+	invalidateCache.call(this);
+}
+
+/**
+ * Subscribe a pattern listener
+ *
+ * @param {String} pattern
+ * @param {Function} callback
+ * @param {Object} options
+ *
+ * @returns {Listener}
+ *
+ * @ignore
+ */
+function subscribePattern(pattern, callback, options) {
+	let listener = new Listener(this, pattern, callback, options);
+
+	this.patterns.add(listener);
+	invalidateCache.call(this);
+
+	return listener;
+}
+
+/**
+ * Unsubscribe a pattern listener
+ *
+ * @param {String} pattern
+ * @param {Function} callback
+ *
+ * @ignore
+ */
+function unsubscribePattern(pattern, callback) {
+	this.patterns.remove(pattern, callback);
+
+	invalidateCache.call(this);
+}
+
+/**
+ * Count the listeners of a storage subscribed for exactly the given identifier
+ *
+ * @param {Object} storage
+ * @param {String|RegExp} identifier
+ * @param {Boolean=} literal
+ *
+ * @returns {Number}
+ *
+ * @ignore
+ */
+function countListener(storage, identifier, literal) {
+	if(validator.isExpression(identifier)) {
+		return storage.expressions.filter((listener) => listener.identifier.toString() === identifier.toString()).length;
+	}
+
+	if(!literal && storage.patterns.isPattern(identifier)) {
+		return storage.patterns.retrieve(identifier).length;
+	}
+
+	return (storage.events[identifier] || []).length;
+}
+
+/**
+ * Retrieve the maximum number of listeners for an identifier
+ *
+ * Settings for the identifier take precedence over the ones for the
+ * emitter, own settings over the ones of the broadcast scopes.
+ *
+ * @param {String=} key
+ *
+ * @returns {Number}
+ *
+ * @ignore
+ */
+function retrieveMaxListeners(key) {
+	let scopes = retrieveStorage(this).scopes, value, i = 0;
+
+	for(; i < scopes.length && typeof value === 'undefined'; i++) {
+		value = typeof key !== 'undefined' && typeof scopes[i].limits[key] !== 'undefined' ? scopes[i].limits[key] : scopes[i].maxListeners;
+	}
+
+	return typeof value === 'undefined' ? maxListeners : value;
+}
+
+/**
+ * Format the stack of an error, omitting the frames of the emitter itself
+ *
+ * @param {Error} error
+ *
+ * @returns {String}
+ *
+ * @ignore
+ */
+function formatStack(error) {
+	return error.stack.split('\n').slice(1).filter((line) => line.indexOf(__filename) === -1).join('\n');
+}
+
+/**
+ * Create the warning or error for exceeding the maximum number of listeners
+ *
+ * Its stack and detail point to the offending registration, type mirrors
+ * identifier like warnings of Node's EventEmitter do.
+ *
+ * @param {String} name
+ * @param {String} key
+ * @param {Number} count
+ * @param {Number} maximum
+ *
+ * @returns {Error}
+ *
+ * @ignore
+ */
+function createLeakError(name, key, count, maximum) {
+	let error = errors.createError(name, 'Possible listener leak detected, ' + count + ' listeners subscribed for "' + key + '" exceed the maximum of ' + maximum + ', use setMaxListeners() to increase it');
+
+	error.detail     = formatStack(error);
+	error.stack      = name + ': ' + error.message + '\n' + error.detail;
+	error.emitter    = this;
+	error.identifier = key;
+	error.type       = key;
+	error.count      = count;
+
+	return error;
+}
+
+/**
+ * Warn or throw if subscribing further listeners for an identifier exceeds its maximum
+ *
+ * Warnings get emitted only once per storage and identifier.
+ *
+ * @param {Object} storage
+ * @param {String|RegExp} identifier
+ * @param {Number} added
+ * @param {Boolean=} literal
+ *
+ * @throws {Error}
+ *
+ * @ignore
+ */
+function detectLeak(storage, identifier, added, literal) {
+	let key     = identifier.toString();
+	let count   = countListener(storage, identifier, literal) + added;
+	let maximum = retrieveMaxListeners.call(this, key);
+
+	if(!maximum || count <= maximum) {
+		return;
+	}
+
+	if(retrieveSetting.call(this, 'leakPolicy') === 'throw') {
+		throw createLeakError.call(this, 'MaxListenersExceededError', key, count, maximum);
+	}
+
+	if(!storage.warned.has(key)) {
+		storage.warned.add(key);
+
+		process.emitWarning(createLeakError.call(this, 'MaxListenersExceededWarning', key, count, maximum));
+	}
+}
+
+/**
+ * Flatten a string, RegExp or array identifier into a list of strings and RegExps
+ *
+ * @param {String|RegExp|Object[]} identifier
+ *
+ * @returns {Array}
+ *
+ * @ignore
+ */
+function flattenIdentifier(identifier) {
+	if(validator.isArray(identifier)) {
+		return identifier.reduce((identifiers, identifier) => identifiers.concat(flattenIdentifier(identifier)), []);
+	}
+
+	return [ identifier ];
+}
+
+/**
+ * Subscribe listeners for a string, RegExp or array identifier
+ *
+ * Leaks get detected for all identifiers before subscribing any of them.
+ *
+ * @param {String|RegExp|Object[]} identifier
+ * @param {Function} callback
+ * @param {Object} options
+ *
+ * @returns {Listener[]}
+ *
+ * @throws {Error}
+ *
+ * @ignore
+ */
+function subscribe(identifier, callback, options) {
+	let storage = retrieveStorage(this), identifiers = flattenIdentifier(identifier), added = new Map();
+
+	identifiers.forEach((identifier) => {
+		let key = identifier.toString();
+
+		added.set(key, (added.get(key) || 0) + 1);
+
+		detectLeak.call(this, storage, identifier, added.get(key), options.literal);
+	});
+
+	return identifiers.map((identifier) => {
+		if(validator.isExpression(identifier)) {
+			return subscribeExpression.call(storage, identifier, callback, options);
+		}
+
+		return (!options.literal && storage.patterns.isPattern(identifier) ? subscribePattern : subscribeEvent).call(storage, identifier, callback, options);
+	});
+}
+
+/**
+ * Remove a specific listener from its storage
+ *
+ * @param {Listener} listener
+ *
+ * @ignore
+ */
+function removeListener(listener) {
+	let storage = listener.storage;
+
+	if(validator.isString(listener.identifier)) {
+		if(storage.events[listener.identifier] && storage.events[listener.identifier].indexOf(listener) !== -1) {
+			storage.events[listener.identifier] = storage.events[listener.identifier].filter(filterRemoveListener, listener);
+
+			invalidateCache.call(storage, listener.identifier);
+
+			return;
+		}
+
+		storage.patterns.removeListener(listener);
+	} else {
+		storage.expressions = storage.expressions.filter(filterRemoveListener, listener);
+	}
+
+	invalidateCache.call(storage);
+}
+
+/**
+ * Invalidate cached listeners of a storage
+ *
+ * Passing a name only invalidates the cached listeners of that event name,
+ * omitting it invalidates the cached listeners of all event names.
+ *
+ * @param {String=} name
+ *
+ * @ignore
+ */
+function invalidateCache(name) {
+	if(typeof name !== 'undefined') {
+		this.revisions.set(name, (this.revisions.get(name) || 0) + 1);
+	} else {
+		this.revision += 1;
+	}
+}
+
+/**
+ * Retrieve the revision stamp of a storage for a certain event
+ *
+ * @param {Object} storage
+ * @param {int} storage.revision
+ * @param {Map} storage.revisions
+ *
+ * @returns {String}
+ *
+ * @ignore
+ */
+function retrieveRevision(storage) {
+	return storage.revision + '.' + (storage.revisions.get(this) || 0);
+}
+
+/**
+ * Collect all listeners of a storage for a certain event
+ *
+ * @param {Listener[]} listener
+ * @param {Object} storage
+ *
+ * @returns {Listener[]}
+ *
+ * @ignore
+ */
+function collectListener(listener, storage) {
+	let name = this;
+
+	if(storage.events[name]) {
+		listener.push(...storage.events[name]);
+	}
+
+	storage.expressions.forEach((expression) => {
+		if(expression.identifier.test(name)) {
+			listener.push(expression);
+		}
+	});
+
+	listener.push(...storage.patterns.match(name));
+
+	return listener;
+}
+
+/**
+ * Retrieve all listeners for a certain event
+ *
+ * Resolved listeners get cached per event name until a listener
+ * for that event name gets subscribed or removed in any of the
+ * involved storages.
+ *
+ * @param {String} name
+ * @param {Boolean=} local
+ *
+ * @returns {Object[]}
+ *
+ * @ignore
+ */
+function retrieveListener(name, local) {
+	let storage, storages, cache, stamp, cached, listener;
+
+	if(!validator.isString(name)) {
+		return [];
+	}
+
+	storage  = retrieveStorage(this);
+	storages = !local ? storage.scopes : [ storage ];
+	cache    = local ? storage.localCache : storage.cache;
+	stamp    = storages.map(retrieveRevision, name).join(':');
+	cached   = cache.get(name);
+
+	if(cached && cached.stamp === stamp) {
+		return cached.listener;
+	}
+
+	listener = storages.reduce(collectListener.bind(name), []).sort(sortListener);
+
+	if(!cached && cache.size >= cacheSize) {
+		cache.delete(cache.keys().next().value);
+	}
+
+	cache.set(name, { stamp: stamp, listener: listener });
+
+	return listener;
+}
+
+/**
+ * Retrieve the propagation path of an event
+ *
+ * Ancestors only contribute their own listeners, capturing ones on
+ * the way down to the target, all others on the way back up.
+ *
+ * @param {String} name
+ * @param {Boolean} bubbles
+ *
+ * @returns {Object[]}
+ *
+ * @ignore
+ */
+function retrievePath(name, bubbles) {
+	let ancestors = [], path = [], parent = weakmap.get(this).parent;
+
+	while(bubbles && parent) {
+		ancestors.push(parent);
+
+		parent = weakmap.get(parent).parent;
+	}
+
+	ancestors.slice().reverse().forEach((node) => {
+		path.push({ node: node, phase: 'capture', listener: retrieveListener.call(node, name, true).filter(filterCapture) });
+	});
+
+	path.push({ node: this, phase: 'target', listener: retrieveListener.call(this, name) });
+
+	ancestors.forEach((node) => {
+		path.push({ node: node, phase: 'bubble', listener: retrieveListener.call(node, name, true).filter(filterBubble) });
+	});
+
+	return path.filter(filterStep);
+}
+
+/**
+ * Collect all listeners of a storage regardless of their identifier
+ *
+ * @param {Listener[]} listener
+ * @param {Object} storage
+ *
+ * @returns {Listener[]}
+ *
+ * @ignore
+ */
+function collectAllListener(listener, storage) {
+	Object.keys(storage.events).forEach((name) => {
+		listener.push(...storage.events[name]);
+	});
+
+	listener.push(...storage.patterns.listeners(), ...storage.expressions);
+
+	return listener;
+}
+
+/**
+ * Describe a listener
+ *
+ * @param {Listener} listener
+ * @param {int} order
+ *
+ * @returns {Object}
+ *
+ * @ignore
+ */
+function describeListener(listener, order) {
+	let storage = listener.storage, type = 'event';
+
+	if(validator.isExpression(listener.identifier)) {
+		type = 'expression';
+	} else if(!listener.literal && storage.patterns.isPattern(listener.identifier)) {
+		type = 'pattern';
+	}
+
+	return {
+		identifier: listener.identifier,
+		type:       type,
+		scope:      typeof storage.owner === 'function' ? 'broadcast' : 'instance',
+		emitter:    storage.owner,
+		callback:   listener.callback,
+		priority:   listener.priority,
+		order:      order,
+		remaining:  typeof listener.remaining === 'undefined' ? Infinity : listener.remaining,
+		capture:    listener.capture,
+		stack:      listener.origin ? formatStack(listener.origin) : ''
+	};
+}
+
+/**
+ * Retrieve the dispatch strategy for a certain event
+ *
+ * @param {String} name
+ *
+ * @returns {String}
+ *
+ * @ignore
+ */
+function retrieveStrategy(name) {
+	let scopes = retrieveStorage(this).scopes, strategy, i = 0;
+
+	for(; i < scopes.length && !strategy; i++) {
+		strategy = scopes[i].strategies[name];
+	}
+
+	return strategy || 'sequential';
+}
+
+/**
+ * Retrieve the replay buffer size for a certain event
+ *
+ * Passing an offset skips the scopes before it, so the size applying
+ * to a broadcast scope is determined by that scope and its ancestors.
+ *
+ * @param {String} name
+ * @param {Number=} offset
+ *
+ * @returns {Number}
+ *
+ * @ignore
+ */
+function retrieveReplay(name, offset) {
+	let scopes = retrieveStorage(this).scopes, size, i = offset || 0;
+
+	for(; i < scopes.length && !size; i++) {
+		size = scopes[i].replays[name];
+	}
+
+	return size || 0;
+}
+
+/**
+ * Retain an event for late subscribers if it is sticky or has a replay buffer
+ *
+ * The event gets retained by the emitter as well as by each of its
+ * broadcast scopes, every one of them keeping only as many of its last
+ * events as its own replay setting or the one of its ancestors asks for.
+ *
+ * @param {Object} options
+ * @param {Object[]} details
+ *
+ * @ignore
+ */
+function retainEvent(options, details) {
+	let record;
+
+	if(!validator.isString(options.name)) {
+		return;
+	}
+
+	weakmap.get(this).scopes.forEach((scope, index) => {
+		let size = Math.max(retrieveReplay.call(this, options.name, index), options.sticky ? 1 : 0);
+
+		if(!size) {
+			return;
+		}
+
+		record = record || { emitter: this, name: options.name, details: details.slice(), sequence: (sequence += 1) };
+
+		scope.retained.set(options.name, (scope.retained.get(options.name) || []).concat(record).slice(-size));
+	});
+}
+
+/**
+ * Retrieve the retained events of an emitter or, for a class, of all its instances
+ *
+ * @param {String=} name
+ *
+ * @returns {Object[]}
+ *
+ * @ignore
+ */
+function retrieveRetained(name) {
+	let records = [];
+
+	retrieveStorage(this).retained.forEach((retained, key) => {
+		if(typeof name === 'undefined' || key === name) {
+			records.push(...retained);
+		}
+	});
+
+	return records.sort((a, b) => a.sequence - b.sequence);
+}
+
+/**
+ * Remove a retained event from its emitter and all of its broadcast scopes
+ *
+ * @param {Object} record
+ *
+ * @ignore
+ */
+function removeRetained(record) {
+	weakmap.get(record.emitter).scopes.forEach((scope) => {
+		let records = (scope.retained.get(record.name) || []).filter((retained) => retained !== record);
+
+		if(records.length) {
+			scope.retained.set(record.name, records);
+		} else {
+			scope.retained.delete(record.name);
+		}
+	});
+}
+
+/**
+ * Remove retained events of an emitter or, for a class, of all its instances
+ *
+ * @param {String=} name
+ *
+ * @ignore
+ */
+function clearRetained(name) {
+	retrieveRetained.call(this, name).forEach(removeRetained);
+}
+
+/**
+ * Check if a listener would be called for an event
+ *
+ * @param {Listener} listener
+ * @param {String} name
+ *
+ * @returns {Boolean}
+ *
+ * @ignore
+ */
+function matchListener(listener, name) {
+	let patterns = listener.storage.patterns;
+
+	if(validator.isExpression(listener.identifier)) {
+		return listener.identifier.test(name);
+	}
+
+	return !listener.literal && patterns.isPattern(listener.identifier) ? patterns.test(listener.identifier, name) : listener.identifier === name;
+}
+
+/**
+ * Replay retained events to a newly subscribed listener
+ *
+ * Replaying starts asynchronously, after the subscription has completed.
+ *
+ * @param {Listener} listener
+ *
+ * @ignore
+ */
+function replayRetained(listener) {
+	let records = retrieveRetained.call(this).filter((record) => matchListener(listener, record.name));
+
+	if(!records.length) {
+		return;
+	}
+
+	Promise.resolve().then(async () => {
+		let i = 0, record, event;
+
+		for(; (record = records[i]) && listener.isActive; i++) {
+			event = new Event(record.name, record.emitter);
+
+			await applySequential.call(record.emitter, [ listener ], event, record.details, new Report(event));
+		}
+	}).catch(raiseError);
+}
+
+/**
+ * Normalize the name or options passed to emit
+ *
+ * @param {String|Object} name
+ *
+ * @returns {Object}
+ *
+ * @ignore
+ */
+function retrieveOptions(name) {
+	return validator.isObject(name) ? name : { name: name };
+}
+
+/**
+ * Dispatch an event to all of its listeners
+ *
+ * Middleware gets applied first and may transform the name, details
+ * and options of the emit or short-circuit it, resolving to null. The
+ * returned promise settles once all listeners are done, even if middleware
+ * did not return or await the result of next().
+ *
+ * @param {String|Object} name
+ * @param {Object[]} details
+ * @param {Object=} accumulator
+ *
+ * @returns {Promise<Report|null>}
+ *
+ * @ignore
+ */
+function dispatchEvent(name, details, accumulator) {
+	let context = createContext.call(this, name, details), settled;
+
+	return new Promise((resolve) => {
+		resolve(applyMiddleware(retrieveMiddleware.call(this), context, () => {
+			let dispatched = propagateEvent.call(this, resolveOptions(context), context.details, accumulator).then((report) => {
+				return (context.report = report);
+			});
+
+			settled = dispatched.then(() => {}, () => {});
+
+			return dispatched;
+		}));
+	}).then(() => {
+		return settled;
+	}).then(() => {
+		return context.report;
+	});
+}
+
+/**
+ * Dispatch an event to all of its listeners synchronously
+ *
+ * @param {String|Object} name
+ * @param {Object[]} details
+ *
+ * @returns {Array}
+ *
+ * @throws {TypeError}
+ *
+ * @ignore
+ */
+function dispatchEventSync(name, details) {
+	let context = createContext.call(this, name, details);
+
+	applyMiddleware(retrieveMiddleware.call(this), context, () => {
+		return (context.report = propagateEventSync.call(this, resolveOptions(context), context.details)).results;
+	}, true);
+
+	return context.report ? context.report.results : [];
+}
+
+/**
+ * Retrieve all middleware applying to an emitter, outermost first
+ *
+ * @returns {Function[]}
+ *
+ * @ignore
+ */
+function retrieveMiddleware() {
+	return retrieveStorage(this).scopes.reduceRight((middleware, storage) => {
+		return middleware.concat(storage.middleware);
+	}, []);
+}
+
+/**
+ * Create the mutable context passed to middleware
+ *
+ * @param {String|Object} name
+ * @param {Object[]} details
+ *
+ * @returns {Object}
+ *
+ * @ignore
+ */
+function createContext(name, details) {
+	let options = Object.assign({}, retrieveOptions(name));
+	let context = { name: options.name, details: details, emitter: this, options: options, report: null };
+
+	delete options.name;
+
+	return context;
+}
+
+/**
+ * Resolve the options to dispatch an event with from a middleware context
+ *
+ * @param {Object} context
+ *
+ * @returns {Object}
+ *
+ * @ignore
+ */
+function resolveOptions(context) {
+	return Object.assign({}, context.options, { name: context.name });
+}
+
+/**
+ * Apply a chain of middleware
+ *
+ * Each middleware receives the context and a next function calling the
+ * next middleware or, at the end of the chain, the final function. When
+ * applied asynchronously, middleware not returning anything passes on the
+ * result of the final function instead.
+ *
+ * @param {Function[]} middleware
+ * @param {Object} context
+ * @param {Function} final
+ * @param {Boolean=} sync
+ *
+ * @returns {*}
+ *
+ * @throws {Error}
+ * @throws {TypeError}
+ *
+ * @ignore
+ */
+function applyMiddleware(middleware, context, final, sync) {
+	let dispatched;
+
+	function dispatch(index) {
+		let called = false;
+
+		return function next() {
+			let result;
+
+			if(called) {
+				throw new Error('Middleware must not call next() more than once');
+			}
+
+			called = true;
+
+			if(index === middleware.length) {
+				return (dispatched = final());
+			}
+
+			result = middleware[index].call(context.emitter, context, dispatch(index + 1));
+
+			if(sync && validator.isThenable(result)) {
+				throw new TypeError('Middleware for event "' + context.name + '" returned a thenable, use emitAsync() for asynchronous middleware');
+			}
+
+			if(!sync && typeof result === 'undefined') {
+				return dispatched;
+			}
+
+			return result;
+		};
+	}
+
+	return dispatch(0)();
+}
+
+/**
+ * Propagate an event along its path
+ *
+ * @param {Object} options
+ * @param {Object[]} details
+ * @param {Object=} accumulator
+ *
+ * @returns {Promise<Report>}
+ *
+ * @ignore
+ */
+async function propagateEvent(options, details, accumulator) {
+	let path    = retrievePath.call(this, options.name, options.bubbles !== false);
+	let event   = new Event(options.name, this);
+	let report  = new Report(event);
+	let apply   = accumulator ? applySequential : strategies[validator.isStrategy(options.strategy) ? options.strategy : retrieveStrategy.call(this, options.name)];
+	let i = 0, step;
+
+	assertDefaultAction(options.defaultAction);
+	retainEvent.call(this, options, details);
+
+	for(; (step = path[i]); i++) {
+		if(event.isPropagationStopped) {
+			report.skipped.push(...step.listener.map(mapListener));
+
+			continue;
+		}
+
+		Event.propagate(event, step.node, step.phase);
+
+		await apply.call(step.node, step.listener, event, details, report, accumulator);
+
+		report.isCanceled = report.isCanceled || event.isCanceled;
+	}
+
+	report.defaultPrevented = event.defaultPrevented;
+
+	if(options.defaultAction && !event.defaultPrevented) {
+		Event.propagate(event, this, 'target');
+
+		report.defaultExecuted = true;
+
+		try {
+			await options.defaultAction.call(this, event, ...details);
+		} catch(error) {
+			report.errors.push(error);
+
+			handleError.call(this, error, event);
+		}
+	}
+
+	return report;
+}
+
+/**
+ * Propagate an event along its path synchronously
+ *
+ * @param {Object} options
+ * @param {Object[]} details
+ *
+ * @returns {Report}
+ *
+ * @throws {TypeError}
+ *
+ * @ignore
+ */
+function propagateEventSync(options, details) {
+	let path    = retrievePath.call(this, options.name, options.bubbles !== false);
+	let event   = new Event(options.name, this);
+	let report  = new Report(event);
+	let i = 0, step;
+
+	assertDefaultAction(options.defaultAction);
+	retainEvent.call(this, options, details);
+
+	for(; (step = path[i]) && !event.isPropagationStopped; i++) {
+		Event.propagate(event, step.node, step.phase);
+
+		applySync.call(step.node, step.listener, event, details, report);
+
+		report.isCanceled = report.isCanceled || event.isCanceled;
+	}
+
+	report.defaultPrevented = event.defaultPrevented;
+
+	if(options.defaultAction && !event.defaultPrevented) {
+		Event.propagate(event, this, 'target');
+
+		report.defaultExecuted = true;
+
+		applyDefaultSync.call(this, options.defaultAction, event, details);
+	}
+
+	return report;
+}
+
+/**
+ * Apply the default action of an event synchronously
+ *
+ * @param {Function} action
+ * @param {Event} event
+ * @param {Object[]} details
+ *
+ * @throws {TypeError}
+ *
+ * @ignore
+ */
+function applyDefaultSync(action, event, details) {
+	let result;
+
+	try {
+		result = action.call(this, event, ...details);
+	} catch(error) {
+		return handleError.call(this, error, event, true);
+	}
+
+	if(validator.isThenable(result)) {
+		throw new TypeError('Default action for event "' + event.name + '" returned a thenable, use emitAsync() for asynchronous default actions');
+	}
+}
+
+/**
+ * Assert that a default action is either undefined or a function
+ *
+ * @param {*} action
+ *
+ * @throws {TypeError}
+ *
+ * @ignore
+ */
+function assertDefaultAction(action) {
+	if(typeof action !== 'undefined' && !validator.isCallback(action)) {
+		throw new TypeError('Default action must be a function');
+	}
+}
+
+/**
+ * Subscribe a once only listener resolving a promise
+ *
+ * @param {String|RegExp|Object[]} identifier
+ * @param {Function=} filter
+ *
+ * @returns {Object}
+ *
+ * @ignore
+ */
+function createWaiter(identifier, filter) {
+	let waiter = {};
+
+	waiter.promise = new Promise((resolve) => {
+		waiter.subscription = this.on(identifier, (event, ...details) => {
+			waiter.subscription.unsubscribe();
+
+			resolve({ event: event, details: details });
+		}, { filter: filter, subscription: true });
+	});
+
+	return waiter;
+}
+
+/**
+ * Wait for events to be emitted
+ *
+ * @param {Object[]} identifiers
+ * @param {Object} options
+ * @param {Number=} options.timeout
+ * @param {Function=} options.filter
+ * @param {AbortSignal=} options.signal
+ * @param {Function} combine
+ *
+ * @returns {Promise}
+ *
+ * @ignore
+ */
+function waitForEvents(identifiers, options, combine) {
+	let signal = options.signal;
+
+	return new Promise((resolve, reject) => {
+		let waiters, timeout;
+
+		function cleanup() {
+			clearTimeout(timeout);
+
+			waiters.forEach((waiter) => {
+				waiter.subscription.unsubscribe();
+			});
+
+			if(signal) {
+				signal.removeEventListener('abort', abort);
+			}
+		}
+
+		function abort() {
+			cleanup();
+			reject(errors.createAbortError(signal));
+		}
+
+		if(signal && signal.aborted) {
+			waiters = [];
+
+			return abort();
+		}
+
+		waiters = identifiers.map((identifier) => {
+			return createWaiter.call(this, identifier, options.filter);
+		});
+
+		if(signal) {
+			signal.addEventListener('abort', abort);
+		}
+
+		if(options.timeout) {
+			timeout = setTimeout(() => {
+				cleanup();
+				reject(errors.createError('TimeoutError', 'Timed out after ' + options.timeout + 'ms'));
+			}, options.timeout);
+		}
+
+		combine(waiters.map((waiter) => waiter.promise)).then((result) => {
+			cleanup();
+			resolve(result);
+		});
+	});
+}
+
+/**
+ * Assert that value is an emitter instance
+ *
+ * @param {*} value
+ *
+ * @throws {TypeError}
+ *
+ * @ignore
+ */
+function assertEmitter(value) {
+	if(!(value instanceof Emitter)) {
+		throw new TypeError('Emitter must be an instance of Emitter');
+	}
+}
+
+class Emitter {
+	/**
+	 * Emitter constructor
+	 */
+	constructor() {
+		initialize(this);
+	}
+
+	/**
+	 * Emit an event
+	 *
+	 * @param {String|Object} name
+	 * @param {...*} details
+	 *
+	 * @returns {Emitter}
+	 */
+	emit(name, ...details) {
+		dispatchEvent.call(this, name, details).catch(raiseError);
+
+		return this;
+	}
+
+	/**
+	 * Emit an event and wait for all listeners to complete
+	 *
+	 * @param {String|Object} name
+	 * @param {...*} details
+	 *
+	 * @returns {Promise<Report>}
+	 */
+	emitAsync(name, ...details) {
+		return dispatchEvent.call(this, name, details);
+	}
+
+	/**
+	 * Emit an event and collect the resolved return values of all listeners
+	 *
+	 * @param {String|Object} name
+	 * @param {...*} details
+	 *
+	 * @returns {Promise<Array>}
+	 */
+	emitCollect(name, ...details) {
+		return dispatchEvent.call(this, name, details).then((report) => {
+			return report ? report.results : [];
+		});
+	}
+
+	/**
+	 * Emit an event passing an accumulated value from one listener to the next
+	 *
+	 * @param {String|Object} name
+	 * @param {*} initial
+	 * @param {...*} details
+	 *
+	 * @returns {Promise<*>}
+	 */
+	emitReduce(name, initial, ...details) {
+		let accumulator = { value: initial };
+
+		return dispatchEvent.call(this, name, details, accumulator).then(() => {
+			return accumulator.value;
+		});
+	}
+
+	/**
+	 * Emit an event synchronously
+	 *
+	 * @param {String|Object} name
+	 * @param {...*} details
+	 *
+	 * @returns {Array}
+	 *
+	 * @throws {TypeError}
+	 */
+	emitSync(name, ...details) {
+		return dispatchEventSync.call(this, name, details);
+	}
+
+	/**
+	 * Subscribe an event listener
+	 *
+	 * @param {String|RegExp|Object[]} identifier
+	 * @param {Function} callback
+	 * @param {Boolean|Object=} prepend
+	 * @param {Number=} limit
+	 * @param {Number=} priority
+	 *
+	 * @returns {Emitter|Subscription}
+	 */
+	on(identifier, callback, prepend, limit, priority) {
+		return Emitter.on.call(this, identifier, callback, prepend, limit, priority);
+	}
+
+	/**
+	 * Subscribe a once only event listener
+	 *
+	 * @param {String|RegExp|Object[]} identifier
+	 * @param {Function} callback
+	 * @param {Boolean|Object=} prepend
+	 * @param {Number=} priority
+	 *
+	 * @returns {Emitter|Subscription}
+	 */
+	once(identifier, callback, prepend, priority) {
+		return Emitter.once.call(this, identifier, callback, prepend, priority);
+	}
+
+	/**
+	 * Subscribe a limited event listener
+	 *
+	 * @param {String|RegExp|Object[]} identifier
+	 * @param {Number} limit
+	 * @param {Function} callback
+	 * @param {Boolean|Object=} prepend
+	 * @param {Number=} priority
+	 *
+	 * @returns {Emitter|Subscription}
+	 */
+	limit(identifier, limit, callback, prepend, priority) {
+		return Emitter.limit.call(this, identifier, limit, callback, prepend, priority);
+	}
+
+	/**
+	 * Unsubscribe an event listener
+	 *
+	 * @param {String|RegExp|Object[]} identifier
+	 * @param {Function=} callback
+	 *
+	 * @returns {Emitter}
+	 */
+	off(identifier, callback) {
+		return Emitter.off.call(this, identifier, callback);
+	}
+
+	/**
+	 * Unsubscribe all listeners that would get called for a certain event
+	 *
+	 * @param {String} name
+	 *
+	 * @returns {Emitter}
+	 */
+	offMatching(name) {
+		return Emitter.offMatching.call(this, name);
+	}
+
+	/**
+	 * Unsubscribe a callback from all identifiers
+	 *
+	 * @param {Function} callback
+	 *
+	 * @returns {Emitter}
+	 */
+	offCallback(callback) {
+		return Emitter.offCallback.call(this, callback);
+	}
+
+	/**
+	 * Unsubscribe all listeners
+	 *
+	 * @returns {Emitter}
+	 */
+	offAll() {
+		return Emitter.offAll.call(this);
+	}
+
+	/**
+	 * Retrieve all listeners for a certain event
+	 *
+	 * @param {String} name
+	 *
+	 * @returns {Object[]}
+	 */
+	listener(name) {
+		return Emitter.listener.call(this, name);
+	}
+
+	/**
+	 * Describe all listeners or the ones for a certain event
+	 *
+	 * @param {String=} name
+	 *
+	 * @returns {Object[]}
+	 */
+	describe(name) {
+		return Emitter.describe.call(this, name);
+	}
+
+	/**
+	 * Retrieve the identifiers of all listeners
+	 *
+	 * @returns {Array}
+	 */
+	eventNames() {
+		return Emitter.eventNames.call(this);
+	}
+
+	/**
+	 * Retrieve the number of listeners for a certain event
+	 *
+	 * @param {String} name
+	 *
+	 * @returns {Number}
+	 */
+	listenerCount(name) {
+		return Emitter.listenerCount.call(this, name);
+	}
+
+	/**
+	 * Wait for an event to be emitted
+	 *
+	 * @param {String|RegExp|Object[]} identifier
+	 * @param {Object=} options
+	 * @param {Number=} options.timeout
+	 * @param {Function=} options.filter
+	 * @param {AbortSignal=} options.signal
+	 *
+	 * @returns {Promise<Object>}
+	 */
+	waitFor(identifier, options) {
+		return Emitter.waitFor.call(this, identifier, options);
+	}
+
+	/**
+	 * Wait for any of several events to be emitted
+	 *
+	 * @param {Object[]} identifiers
+	 * @param {Object=} options
+	 *
+	 * @returns {Promise<Object>}
+	 */
+	waitForAny(identifiers, options) {
+		return Emitter.waitForAny.call(this, identifiers, options);
+	}
+
+	/**
+	 * Wait for all of several events to be emitted
+	 *
+	 * @param {Object[]} identifiers
+	 * @param {Object=} options
+	 *
+	 * @returns {Promise<Object[]>}
+	 */
+	waitForAll(identifiers, options) {
+		return Emitter.waitForAll.call(this, identifiers, options);
+	}
+
+	/**
+	 * Iterate asynchronously over emitted events
+	 *
+	 * @param {String|RegExp|Object[]} identifier
+	 * @param {Object=} options
+	 * @param {Number=} options.size
+	 * @param {String=} options.overflow
+	 * @param {Function=} options.filter
+	 * @param {AbortSignal=} options.signal
+	 *
+	 * @returns {EventIterator}
+	 */
+	events(identifier, options) {
+		return Emitter.events.call(this, identifier, options);
+	}
+
+	/**
+	 * Record emitted events in a journal
+	 *
+	 * @param {Object=} options
+	 * @param {Number=} options.size
+	 * @param {Function=} options.serialize
+	 * @param {Function=} options.deserialize
+	 *
+	 * @returns {Journal}
+	 */
+	record(options) {
+		return Emitter.record.call(this, options);
+	}
+
+	/**
+	 * Add a middleware
+	 *
+	 * @param {Function} middleware
+	 *
+	 * @returns {Emitter}
+	 */
+	use(middleware) {
+		return Emitter.use.call(this, middleware);
+	}
+
+	/**
+	 * Remove a middleware
+	 *
+	 * @param {Function} middleware
+	 *
+	 * @returns {Emitter}
+	 */
+	unuse(middleware) {
+		return Emitter.unuse.call(this, middleware);
+	}
+
+	/**
+	 * Connect the emitter to a MessagePort, Worker or ChildProcess
+	 *
+	 * @param {MessagePort|Worker|ChildProcess|Object} port
+	 * @param {Object=} options
+	 * @param {String|RegExp|Object[]=} options.allow
+	 * @param {String|RegExp|Object[]=} options.deny
+	 * @param {String=} options.delimiter
+	 * @param {Function=} options.serialize
+	 * @param {Function=} options.deserialize
+	 *
+	 * @returns {Bridge}
+	 */
+	bridge(port, options) {
+		return new Bridge(this, port, options);
+	}
+
+	/**
+	 * Create a server exposing the emitter over a TCP port or Unix domain socket
+	 *
+	 * @param {Object=} options
+	 * @param {Number=} options.maxPending
+	 * @param {String=} options.overflow
+	 *
+	 * @returns {Server}
+	 */
+	serve(options) {
+		return new Server(this, options);
+	}
+
+	/**
+	 * Connect the emitter to a served emitter
+	 *
+	 * @param {Object} options
+	 * @param {Number=} options.port
+	 * @param {String=} options.host
+	 * @param {String=} options.path
+	 * @param {Boolean=} options.reconnect
+	 * @param {Number=} options.delay
+	 * @param {Number=} options.maxDelay
+	 * @param {Number=} options.maxQueue
+	 *
+	 * @returns {Client}
+	 */
+	connect(options) {
+		return new Client(this, options);
+	}
+
+	/**
+	 * Set the parent emitter events bubble up to
+	 *
+	 * @param {Emitter=} parent
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @throws {TypeError}
+	 * @throws {Error}
+	 */
+	setParent(parent) {
+		let ancestor = parent;
+
+		if(parent !== null && typeof parent !== 'undefined') {
+			assertEmitter(parent);
+		}
+
+		for(; ancestor; ancestor = weakmap.get(ancestor).parent) {
+			if(ancestor === this) {
+				throw new Error('Parent must not be the emitter itself or one of its descendants');
+			}
+		}
+
+		weakmap.get(this).parent = parent || undefined;
+
+		return this;
+	}
+
+	/**
+	 * Attach a child emitter
+	 *
+	 * @param {Emitter} child
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @throws {TypeError}
+	 * @throws {Error}
+	 */
+	attach(child) {
+		assertEmitter(child);
+
+		child.setParent(this);
+
+		return this;
+	}
+
+	/**
+	 * Detach a child emitter
+	 *
+	 * @param {Emitter} child
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @throws {TypeError}
+	 */
+	detach(child) {
+		assertEmitter(child);
+
+		if(weakmap.get(child).parent === this) {
+			child.setParent(null);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Set the error handler
+	 *
+	 * @param {Function=} handler
+	 *
+	 * @returns {Emitter}
+	 */
+	setErrorHandler(handler) {
+		return Emitter.setErrorHandler.call(this, handler);
+	}
+
+	/**
+	 * Set the error policy
+	 *
+	 * @param {String} policy
+	 *
+	 * @returns {Emitter}
+	 */
+	setErrorPolicy(policy) {
+		return Emitter.setErrorPolicy.call(this, policy);
+	}
+
+	/**
+	 * Set the maximum number of listeners per identifier, optionally for a specific identifier only
+	 *
+	 * @param {Number=} count
+	 * @param {String|RegExp=} identifier
+	 *
+	 * @returns {Emitter}
+	 */
+	setMaxListeners(count, identifier) {
+		return Emitter.setMaxListeners.call(this, count, identifier);
+	}
+
+	/**
+	 * Retrieve the maximum number of listeners, optionally for a specific identifier
+	 *
+	 * @param {String|RegExp=} identifier
+	 *
+	 * @returns {Number}
+	 */
+	getMaxListeners(identifier) {
+		return Emitter.getMaxListeners.call(this, identifier);
+	}
+
+	/**
+	 * Set the leak policy
+	 *
+	 * @param {String} policy
+	 *
+	 * @returns {Emitter}
+	 */
+	setLeakPolicy(policy) {
+		return Emitter.setLeakPolicy.call(this, policy);
+	}
+
+	/**
+	 * Set whether to capture the stack of listener registrations for describe()
+	 *
+	 * @param {Boolean} enabled
+	 *
+	 * @returns {Emitter}
+	 */
+	setCaptureStacks(enabled) {
+		return Emitter.setCaptureStacks.call(this, enabled);
+	}
+
+	/**
+	 * Set the dispatch strategy for a certain event
+	 *
+	 * @param {String} name
+	 * @param {String=} strategy
+	 *
+	 * @returns {Emitter}
+	 */
+	setStrategy(name, strategy) {
+		return Emitter.setStrategy.call(this, name, strategy);
+	}
+
+	/**
+	 * Set the delimiter of namespaced event names
+	 *
+	 * @param {String} delimiter
+	 *
+	 * @returns {Emitter}
+	 */
+	setDelimiter(delimiter) {
+		return Emitter.setDelimiter.call(this, delimiter);
+	}
+
+	/**
+	 * Set the size of the replay buffer for a certain event
+	 *
+	 * @param {String} name
+	 * @param {Number=} size
+	 *
+	 * @returns {Emitter}
+	 */
+	setReplay(name, size) {
+		return Emitter.setReplay.call(this, name, size);
+	}
+
+	/**
+	 * Retrieve retained events
+	 *
+	 * @param {String=} name
+	 *
+	 * @returns {Object[]}
+	 */
+	retained(name) {
+		return Emitter.retained.call(this, name);
+	}
+
+	/**
+	 * Remove retained events
+	 *
+	 * @param {String=} name
+	 *
+	 * @returns {Emitter}
+	 */
+	clearRetained(name) {
+		return Emitter.clearRetained.call(this, name);
+	}
+
+	/**
+	 * Subscribe an event listener
+	 *
+	 * @param {String|RegExp|Object[]} identifier
+	 * @param {Function} callback
+	 * @param {Boolean|Object=} prepend
+	 * @param {Number=} limit
+	 * @param {Number=} priority
+	 *
+	 * @returns {Emitter|Subscription}
+	 *
+	 * @static
+	 */
+	static on(identifier, callback, prepend, limit, priority) {
+		let options = validator.isObject(prepend) ? validator.normalizeOptions(prepend) : validator.normalizePositionalOptions(prepend, limit, priority);
+		let origin  = retrieveSetting.call(this, 'captureStacks') ? new Error() : undefined, listener;
+
+		validator.assertIdentifier(identifier);
+		validator.assertCallback(callback);
+
+		listener = subscribe.call(this, identifier, callback, options);
+
+		listener.forEach((listener) => {
+			listener.origin = origin;
+		});
+
+		listener.forEach(replayRetained, this);
+
+		if(options.subscription) {
+			return new Subscription(listener, removeListener, options.signal);
+		}
+
+		if(options.signal) {
+			new Subscription(listener, removeListener, options.signal);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Subscribe a once only event listener
+	 *
+	 * @param {String|RegExp|Object[]} identifier
+	 * @param {Function} callback
+	 * @param {Boolean|Object=} prepend
+	 * @param {Number=} priority
+	 *
+	 * @returns {Emitter|Subscription}
+	 *
+	 * @static
+	 */
+	static once(identifier, callback, prepend, priority) {
+		return this.on(identifier, callback, validator.isObject(prepend) ? Object.assign({}, prepend, { once: true }) : prepend, 1, priority);
+	}
+
+	/**
+	 * Subscribe a limited event listener
+	 *
+	 * @param {String|RegExp|Object[]} identifier
+	 * @param {Number} limit
+	 * @param {Function} callback
+	 * @param {Boolean|Object=} prepend
+	 * @param {Number=} priority
+	 *
+	 * @returns {Emitter|Subscription}
+	 *
+	 * @static
+	 */
+	static limit(identifier, limit, callback, prepend, priority) {
+		return this.on(identifier, callback, validator.isObject(prepend) ? Object.assign({}, prepend, { limit: limit }) : prepend, limit, priority);
+	}
+
+	/**
+	 * Unsubscribe an event listener
+	 *
+	 * Passing a pattern removes listeners subscribed for it literally as well.
+	 *
+	 * @param {String|RegExp|Object[]} identifier
+	 * @param {Function=} callback
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @static
+	 */
+	static off(identifier, callback) {
+		let storage = retrieveStorage(this);
+
+		validator.assertIdentifier(identifier);
+
+		if(typeof callback !== 'undefined') {
+			validator.assertCallback(callback);
+		}
+
+		if(validator.isString(identifier)) {
+			if(storage.patterns.isPattern(identifier)) {
+				unsubscribePattern.call(storage, identifier, callback);
+			}
+
+			unsubscribeEvent.call(storage, identifier, callback);
+		}
+
+		if(validator.isExpression(identifier)) {
+			unsubscribeExpression.call(storage, identifier, callback);
+		}
+
+		if(validator.isArray(identifier)) {
+			identifier.forEach((identifier) => {
+				this.off(identifier, callback);
+			});
+		}
+
+		return this;
+	}
+
+	/**
+	 * Unsubscribe all listeners that would get called for a certain event
+	 *
+	 * Unlike off() this removes event, pattern and RegExp listeners alike.
+	 *
+	 * @param {String} name
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @throws {TypeError}
+	 *
+	 * @static
+	 */
+	static offMatching(name) {
+		if(!validator.isString(name)) {
+			throw new TypeError('Name must be a String');
+		}
+
+		collectListener.call(name, [], retrieveStorage(this)).forEach(removeListener);
+
+		return this;
+	}
+
+	/**
+	 * Unsubscribe a callback from all identifiers
+	 *
 	 * @param {Function} callback
-	 * @param {Boolean=} prepend
 	 *
-	 * @returns {Emitter}
+	 * @returns {Emitter}
+	 *
+	 * @throws {TypeError}
+	 *
+	 * @static
+	 */
+	static offCallback(callback) {
+		validator.assertCallback(callback);
+
+		collectAllListener([], retrieveStorage(this))
+			.filter((listener) => listener.callback === callback)
+			.forEach(removeListener);
+
+		return this;
+	}
+
+	/**
+	 * Unsubscribe all listeners
+	 *
+	 * Called on Emitter or one of its subclasses this clears their broadcast
+	 * scope, instances keep their own listeners.
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @static
+	 */
+	static offAll() {
+		collectAllListener([], retrieveStorage(this)).forEach(removeListener);
+
+		return this;
+	}
+
+	/**
+	 * Retrieve all listeners for a certain event
+	 *
+	 * @param {String} name
+	 *
+	 * @returns {Object[]}
 	 *
 	 * @static
 	 */
-	static once(identifier, callback, prepend) {
-		return this.on(identifier, callback, prepend, 1);
+	static listener(name) {
+		return retrieveListener.call(this, name).map(mapListener);
 	}
 
 	/**
-	 * Subscribe a limited event listener
+	 * Describe all listeners or the ones for a certain event
+	 *
+	 * Descriptors name the identifier and its type, the scope and emitter
+	 * a listener got subscribed on, its priority, remaining calls and the
+	 * stack of its registration. They are ordered as their listeners would
+	 * get called, with order holding the position.
+	 *
+	 * @param {String=} name
+	 *
+	 * @returns {Object[]}
+	 *
+	 * @throws {TypeError}
+	 *
+	 * @static
+	 */
+	static describe(name) {
+		let listener;
+
+		if(typeof name === 'undefined') {
+			listener = retrieveStorage(this).scopes.reduce(collectAllListener, []).sort(sortListener);
+		} else if(validator.isString(name)) {
+			listener = retrieveListener.call(this, name);
+		} else {
+			throw new TypeError('Name must be a String');
+		}
+
+		return listener.map(describeListener);
+	}
+
+	/**
+	 * Retrieve the identifiers of all listeners, i.e. event names, patterns and RegExps
+	 *
+	 * @returns {Array}
+	 *
+	 * @static
+	 */
+	static eventNames() {
+		let keys = new Set();
+
+		return retrieveStorage(this).scopes.reduce(collectAllListener, []).sort(sortListener).reduce((identifiers, listener) => {
+			let key = listener.identifier.toString();
+
+			if(!keys.has(key)) {
+				keys.add(key);
+				identifiers.push(listener.identifier);
+			}
+
+			return identifiers;
+		}, []);
+	}
+
+	/**
+	 * Retrieve the number of listeners for a certain event
+	 *
+	 * @param {String} name
+	 *
+	 * @returns {Number}
+	 *
+	 * @static
+	 */
+	static listenerCount(name) {
+		return retrieveListener.call(this, name).length;
+	}
+
+	/**
+	 * Wait for an event to be emitted
+	 *
+	 * Resolves with the event and its details, rejects on timeout or
+	 * once the signal gets aborted.
 	 *
 	 * @param {String|RegExp|Object[]} identifier
-	 * @param {Number} limit
-	 * @param {Function} callback
-	 * @param {Boolean=} prepend
+	 * @param {Object=} options
+	 * @param {Number=} options.timeout
+	 * @param {Function=} options.filter
+	 * @param {AbortSignal=} options.signal
 	 *
-	 * @returns {Emitter}
+	 * @returns {Promise<Object>}
 	 *
 	 * @static
 	 */
-	static limit(identifier, limit, callback, prepend) {
-		return this.on(identifier, callback, prepend, limit);
+	static waitFor(identifier, options) {
+		options = validator.normalizeWaitOptions(options || {});
+
+		validator.assertIdentifier(identifier);
+
+		return waitForEvents.call(this, [ identifier ], options, (promises) => promises[0]);
 	}
 
 	/**
-	 * Unsubscribe an event listener
+	 * Wait for any of several events to be emitted
+	 *
+	 * @param {Object[]} identifiers
+	 * @param {Object=} options
+	 *
+	 * @returns {Promise<Object>}
+	 *
+	 * @static
+	 */
+	static waitForAny(identifiers, options) {
+		options = validator.normalizeWaitOptions(options || {});
+
+		validator.assertIdentifiers(identifiers);
+
+		return waitForEvents.call(this, identifiers, options, (promises) => Promise.race(promises));
+	}
+
+	/**
+	 * Wait for all of several events to be emitted
+	 *
+	 * @param {Object[]} identifiers
+	 * @param {Object=} options
+	 *
+	 * @returns {Promise<Object[]>}
+	 *
+	 * @static
+	 */
+	static waitForAll(identifiers, options) {
+		options = validator.normalizeWaitOptions(options || {});
+
+		validator.assertIdentifiers(identifiers);
+
+		return waitForEvents.call(this, identifiers, options, (promises) => Promise.all(promises));
+	}
+
+	/**
+	 * Iterate asynchronously over emitted events
+	 *
+	 * Events get buffered until consumed, options.overflow defines
+	 * what happens once the buffer exceeds options.size.
 	 *
 	 * @param {String|RegExp|Object[]} identifier
-	 * @param {Function=} callback
+	 * @param {Object=} options
+	 * @param {Number=} options.size
+	 * @param {String=} options.overflow
+	 * @param {Function=} options.filter
+	 * @param {AbortSignal=} options.signal
+	 *
+	 * @returns {EventIterator}
+	 *
+	 * @static
+	 */
+	static events(identifier, options) {
+		options = validator.normalizeIteratorOptions(options || {});
+
+		validator.assertIdentifier(identifier);
+
+		return new EventIterator(this, identifier, options);
+	}
+
+	/**
+	 * Record emitted events in a journal
+	 *
+	 * Called on a class it records the events of all its instances.
+	 *
+	 * @param {Object=} options
+	 * @param {Number=} options.size
+	 * @param {Function=} options.serialize
+	 * @param {Function=} options.deserialize
+	 *
+	 * @returns {Journal}
+	 *
+	 * @static
+	 */
+	static record(options) {
+		return new Journal(options).attach(this);
+	}
+
+	/**
+	 * Add a middleware
+	 *
+	 * Middleware gets called with a mutable context and a next function
+	 * for every emit, global middleware before the one of subclasses and
+	 * instances. Not calling next short-circuits the emit.
+	 *
+	 * @param {Function} middleware
 	 *
 	 * @returns {Emitter}
 	 *
 	 * @static
 	 */
-	static off(identifier, callback) {
-		if(validator.isIdentifier(identifier) && (validator.isCallback(callback) || typeof callback === 'undefined')) {
-			let storage = weakmap.get(this);
+	static use(middleware) {
+		validator.assertCallback(middleware);
 
-			if(validator.isString(identifier)) {
-				unsubscribeEvent.call(storage, identifier, callback)
-			}
+		retrieveStorage(this).middleware.push(middleware);
 
-			if(validator.isExpression(identifier)) {
-				unsubscribeExpression.call(storage, identifier, callback);
-			}
+		return this;
+	}
 
-			if(validator.isArray(identifier)) {
-				identifier.forEach((identifier) => {
-					this.off(identifier, callback);
-				});
-			}
+	/**
+	 * Remove a middleware
+	 *
+	 * @param {Function} middleware
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @static
+	 */
+	static unuse(middleware) {
+		let storage = retrieveStorage(this);
+
+		validator.assertCallback(middleware);
+
+		storage.middleware = storage.middleware.filter((item) => item !== middleware);
+
+		return this;
+	}
+
+	/**
+	 * Set the error handler
+	 *
+	 * @param {Function=} handler
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @static
+	 */
+	static setErrorHandler(handler) {
+		if(handler !== null && typeof handler !== 'undefined') {
+			validator.assertCallback(handler);
 		}
 
+		retrieveStorage(this).errorHandler = handler || undefined;
+
 		return this;
 	}
 
 	/**
-	 * Retrieve all listeners for a certain event
+	 * Set the error policy
+	 *
+	 * @param {String} policy
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @static
+	 */
+	static setErrorPolicy(policy) {
+		if(policies.indexOf(policy) === -1) {
+			throw new TypeError('Error policy must be one of "' + policies.join('", "') + '"');
+		}
+
+		retrieveStorage(this).errorPolicy = policy;
+
+		return this;
+	}
+
+	/**
+	 * Set the maximum number of listeners per identifier, optionally for a specific identifier only
+	 *
+	 * Subscribing more listeners for an identifier than allowed emits a
+	 * warning or throws, depending on the leak policy. Passing 0 disables
+	 * the check, passing no count removes the setting.
+	 *
+	 * @param {Number=} count
+	 * @param {String|RegExp=} identifier
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @static
+	 */
+	static setMaxListeners(count, identifier) {
+		let storage = retrieveStorage(this), key;
+
+		if(typeof identifier !== 'undefined' && !validator.isString(identifier) && !validator.isExpression(identifier)) {
+			throw new TypeError('Identifier must be a String or a RegExp');
+		}
+
+		if(count !== null && typeof count !== 'undefined' && count !== Infinity && !(Number.isInteger(count) && count >= 0)) {
+			throw new TypeError('Maximum number of listeners must be a non-negative integer or Infinity');
+		}
+
+		key   = typeof identifier !== 'undefined' ? identifier.toString() : undefined;
+		count = count === null ? undefined : count;
+
+		if(typeof key === 'undefined') {
+			storage.maxListeners = count;
+		} else if(typeof count === 'undefined') {
+			delete storage.limits[key];
+		} else {
+			storage.limits[key] = count;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Retrieve the maximum number of listeners, optionally for a specific identifier
+	 *
+	 * @param {String|RegExp=} identifier
+	 *
+	 * @returns {Number}
+	 *
+	 * @static
+	 */
+	static getMaxListeners(identifier) {
+		return retrieveMaxListeners.call(this, typeof identifier !== 'undefined' ? identifier.toString() : undefined);
+	}
+
+	/**
+	 * Set the leak policy
+	 *
+	 * @param {String} policy
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @static
+	 */
+	static setLeakPolicy(policy) {
+		if(leakPolicies.indexOf(policy) === -1) {
+			throw new TypeError('Leak policy must be one of "' + leakPolicies.join('", "') + '"');
+		}
+
+		retrieveStorage(this).leakPolicy = policy;
+
+		return this;
+	}
+
+	/**
+	 * Set whether to capture the stack of listener registrations for describe()
+	 *
+	 * Capturing is disabled by default as it slows down subscribing.
+	 *
+	 * @param {Boolean} enabled
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @static
+	 */
+	static setCaptureStacks(enabled) {
+		if(!validator.isBoolean(enabled)) {
+			throw new TypeError('Enabled must be a boolean');
+		}
+
+		retrieveStorage(this).captureStacks = enabled;
+
+		return this;
+	}
+
+	/**
+	 * Set the dispatch strategy for a certain event
+	 *
+	 * @param {String} name
+	 * @param {String=} strategy
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @static
+	 */
+	static setStrategy(name, strategy) {
+		let storage = retrieveStorage(this);
+
+		if(!validator.isString(name)) {
+			throw new TypeError('Name must be a String');
+		}
+
+		if(strategy === null || typeof strategy === 'undefined') {
+			delete storage.strategies[name];
+		} else if(validator.isStrategy(strategy)) {
+			storage.strategies[name] = strategy;
+		} else {
+			throw new TypeError('Strategy must be one of "sequential", "parallel", "settled"');
+		}
+
+		return this;
+	}
+
+	/**
+	 * Set the delimiter of namespaced event names
+	 *
+	 * @param {String} delimiter
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @static
+	 */
+	static setDelimiter(delimiter) {
+		let storage = retrieveStorage(this);
+
+		if(!validator.isString(delimiter) || !delimiter.length) {
+			throw new TypeError('Delimiter must be a non-empty String');
+		}
+
+		storage.patterns.delimiter = delimiter;
+
+		invalidateCache.call(storage);
+
+		return this;
+	}
+
+	/**
+	 * Set the size of the replay buffer for a certain event
+	 *
+	 * The last events emitted for that name get retained and replayed
+	 * to listeners subscribed later on. Passing no size removes it.
 	 *
 	 * @param {String} name
+	 * @param {Number=} size
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @static
+	 */
+	static setReplay(name, size) {
+		let storage = retrieveStorage(this);
+
+		if(!validator.isString(name)) {
+			throw new TypeError('Name must be a String');
+		}
+
+		if(size === null || typeof size === 'undefined') {
+			delete storage.replays[name];
+		} else if(validator.isLimit(size)) {
+			storage.replays[name] = size;
+
+			if(storage.retained.has(name)) {
+				storage.retained.set(name, storage.retained.get(name).slice(-size));
+			}
+		} else {
+			throw new TypeError('Size must be a positive integer');
+		}
+
+		return this;
+	}
+
+	/**
+	 * Retrieve retained events
+	 *
+	 * Called on a class it retrieves the last events retained by any of its instances.
+	 *
+	 * @param {String=} name
 	 *
 	 * @returns {Object[]}
 	 *
 	 * @static
 	 */
-	static listener(name) {
-		return retrieveListener.call(this, name).map(mapListener);
+	static retained(name) {
+		return retrieveRetained.call(this, name).map((record) => {
+			return { emitter: record.emitter, name: record.name, details: record.details.slice() };
+		});
+	}
+
+	/**
+	 * Remove retained events
+	 *
+	 * Called on a class it removes the last events retained by any of its instances.
+	 *
+	 * @param {String=} name
+	 *
+	 * @returns {Emitter}
+	 *
+	 * @static
+	 */
+	static clearRetained(name) {
+		clearRetained.call(this, name);
+
+		return this;
 	}
 }
 
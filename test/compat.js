@@ -0,0 +1,808 @@
+'use strict';
+
+const expect       = require('chai').expect;
+const sinon        = require('sinon');
+const Emitter      = require('../index.js');
+const EventEmitter = require('../class/compat.js');
+
+describe('class/compat.js', () => {
+	let sandbox;
+	let spy;
+	let emitter;
+
+	beforeEach(function () {
+		sandbox = sinon.sandbox.create();
+		spy     = sandbox.spy();
+		emitter = new EventEmitter();
+	});
+
+	afterEach(function () {
+		sandbox.restore();
+	});
+
+	it('should extend Emitter', () => {
+		expect(emitter).to.be.an.instanceof(Emitter);
+	});
+
+	describe('add listeners', () => {
+		it('should emit "newListener" before adding a listener', () => {
+			let events = [];
+
+			function hello() {}
+
+			emitter.on('newListener', (name, listener) => {
+				events.push([ name, listener, emitter.listeners(name).length ]);
+			});
+
+			emitter.on('hello', hello);
+			emitter.once('foo', spy);
+
+			expect(events).to.deep.equal([ [ 'hello', hello, 0 ], [ 'foo', spy, 0 ] ]);
+		});
+
+		it('should call listeners in order of registration with the emitted arguments only', () => {
+			let calls = [];
+
+			emitter.on('hello', function(a, b) {
+				calls.push([ 'first', a, b, arguments.length, this ]);
+			});
+			emitter.addListener('hello', (a, b) => {
+				calls.push([ 'second', a, b ]);
+			});
+
+			emitter.emit('hello', 'a', 'b');
+
+			expect(calls).to.deep.equal([ [ 'first', 'a', 'b', 2, emitter ], [ 'second', 'a', 'b' ] ]);
+		});
+
+		it('should notify the listeners added by a "newListener" listener in front of the new one', () => {
+			let calls = [];
+
+			emitter.once('newListener', (name) => {
+				if(name === 'hello') {
+					emitter.on('hello', () => calls.push('inner'));
+				}
+			});
+
+			emitter.on('hello', () => calls.push('outer'));
+			emitter.emit('hello');
+
+			expect(calls).to.deep.equal([ 'inner', 'outer' ]);
+		});
+
+		it('should throw for listeners that are not functions', () => {
+			expect(() => emitter.on('foo', null)).to.throw(TypeError);
+			expect(() => emitter.once('foo', {})).to.throw(TypeError);
+			expect(() => emitter.prependListener('foo', 'bar')).to.throw(TypeError);
+		});
+	});
+
+	describe('prepend listeners', () => {
+		it('should call prepended listeners first', () => {
+			let calls = [];
+
+			emitter.on('foo', () => calls.push(1));
+			emitter.prependListener('foo', () => calls.push(2));
+			emitter.prependOnceListener('foo', () => calls.push(3));
+
+			emitter.emit('foo');
+			emitter.emit('foo');
+
+			expect(calls).to.deep.equal([ 3, 2, 1, 2, 1 ]);
+		});
+	});
+
+	describe('once', () => {
+		it('should only call a listener once', () => {
+			emitter.once('hello', spy);
+
+			emitter.emit('hello', 'a');
+			emitter.emit('hello', 'b');
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWithExactly(spy, 'a');
+			sinon.assert.calledOn(spy, emitter);
+		});
+
+		it('should remove a once listener by its original function', () => {
+			emitter.once('foo', spy);
+			emitter.removeListener('foo', spy);
+
+			expect(emitter.emit('foo')).to.equal(false);
+			sinon.assert.notCalled(spy);
+		});
+
+		it('should remove a once listener before calling it', () => {
+			emitter.once('foo', () => {
+				emitter.emit('foo');
+				spy();
+			});
+
+			emitter.emit('foo');
+
+			sinon.assert.calledOnce(spy);
+		});
+	});
+
+	describe('remove listeners', () => {
+		it('should emit "removeListener" after removing a listener', () => {
+			let listener = sandbox.spy();
+
+			emitter.on('hello', listener);
+			emitter.on('removeListener', (name, removed) => {
+				spy(name, removed, emitter.listeners('hello').length);
+			});
+
+			emitter.removeListener('hello', listener);
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWithExactly(spy, 'hello', listener, 0);
+		});
+
+		it('should only remove the most recently added instance of a listener', () => {
+			let other = sandbox.spy();
+
+			emitter.on('hello', spy);
+			emitter.on('hello', other);
+			emitter.on('hello', spy);
+
+			emitter.off('hello', spy);
+
+			expect(emitter.listeners('hello')).to.deep.equal([ spy, other ]);
+
+			emitter.emit('hello');
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledOnce(other);
+		});
+
+		it('should not affect an emit in progress', () => {
+			let second = sandbox.spy();
+
+			emitter.on('hello', () => {
+				emitter.removeListener('hello', second);
+			});
+			emitter.on('hello', second);
+
+			emitter.emit('hello');
+			emitter.emit('hello');
+
+			sinon.assert.calledOnce(second);
+		});
+
+		it('should ignore unknown listeners', () => {
+			emitter.on('removeListener', spy);
+
+			expect(emitter.removeListener('hello', () => {})).to.equal(emitter);
+			sinon.assert.notCalled(spy);
+		});
+
+		it('should remove all listeners of an event', () => {
+			let removed = [];
+
+			emitter.on('foo', spy);
+			emitter.on('foo', spy);
+			emitter.on('bar', spy);
+			emitter.on('removeListener', (name) => removed.push(name));
+
+			expect(emitter.removeAllListeners('foo')).to.equal(emitter);
+			expect(emitter.listeners('foo')).to.have.lengthOf(0);
+			expect(emitter.listeners('bar')).to.have.lengthOf(1);
+			expect(removed).to.deep.equal([ 'foo', 'foo' ]);
+		});
+
+		it('should remove all listeners of all events, "removeListener" ones last', () => {
+			let removed = [];
+
+			emitter.on('foo', spy);
+			emitter.on('bar', spy);
+			emitter.on('removeListener', (name) => removed.push(name));
+
+			emitter.removeAllListeners();
+			emitter.emit('foo');
+
+			expect(removed).to.deep.equal([ 'foo', 'bar' ]);
+			expect(emitter.eventNames()).to.deep.equal([]);
+			sinon.assert.notCalled(spy);
+		});
+	});
+
+	describe('introspection', () => {
+		it('should retrieve listeners, raw listeners, counts and event names', () => {
+			let raw;
+
+			emitter.on('foo', spy);
+			emitter.once('bar', spy);
+			emitter.once('bar', spy);
+
+			expect(emitter.listeners('bar')).to.deep.equal([ spy, spy ]);
+			expect(emitter.listenerCount('bar')).to.equal(2);
+			expect(emitter.listenerCount('bar', spy)).to.equal(2);
+			expect(emitter.listenerCount('baz')).to.equal(0);
+			expect(emitter.eventNames()).to.deep.equal([ 'foo', 'bar' ]);
+
+			raw = emitter.rawListeners('bar');
+
+			expect(raw[0]).to.not.equal(spy);
+			expect(raw[0].listener).to.equal(spy);
+
+			raw[0]('detail');
+
+			sinon.assert.calledWithExactly(spy, 'detail');
+			expect(emitter.listenerCount('bar')).to.equal(1);
+		});
+
+		it('should treat names containing wildcards as literal event names', () => {
+			let other = sandbox.spy();
+
+			emitter.on('*', spy);
+			emitter.on('**', spy);
+			emitter.on('foo.*', other);
+
+			emitter.emit('foo');
+			emitter.emit('foo.bar');
+
+			sinon.assert.notCalled(spy);
+			sinon.assert.notCalled(other);
+
+			emitter.emit('*', 'detail');
+			emitter.emit('foo.*');
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWithExactly(spy, 'detail');
+			sinon.assert.calledOnce(other);
+			expect(emitter.eventNames()).to.deep.equal([ '*', '**', 'foo.*' ]);
+			expect(emitter.describe('*').map((descriptor) => descriptor.type)).to.deep.equal([ 'event' ]);
+
+			emitter.removeListener('*', spy);
+
+			expect(emitter.listenerCount('*')).to.equal(0);
+			expect(emitter.listenerCount('**')).to.equal(1);
+			expect(emitter.listener('**')).to.have.lengthOf(1);
+		});
+
+		it('should not leak internal state through listeners()', () => {
+			emitter.on('foo', spy);
+
+			emitter.listeners('foo').push(spy);
+
+			expect(emitter.listeners('foo')).to.have.lengthOf(1);
+		});
+	});
+
+	describe('emit', () => {
+		it('should return whether the event had listeners', () => {
+			expect(emitter.emit('foo')).to.equal(false);
+
+			emitter.on('foo', spy);
+
+			expect(emitter.emit('foo')).to.equal(true);
+		});
+
+		it('should throw errors of listeners and skip the remaining ones', () => {
+			let error = new Error('failed');
+
+			emitter.on('foo', () => {
+				throw error;
+			});
+			emitter.on('foo', spy);
+
+			expect(() => emitter.emit('foo')).to.throw(error);
+			sinon.assert.notCalled(spy);
+		});
+
+		it('should throw unhandled "error" events', () => {
+			let error = new Error('failed'), thrown;
+
+			expect(() => emitter.emit('error', error)).to.throw(error);
+
+			try {
+				emitter.emit('error', 'reason');
+			} catch(exception) {
+				thrown = exception;
+			}
+
+			expect(thrown.code).to.equal('ERR_UNHANDLED_ERROR');
+			expect(thrown.context).to.equal('reason');
+
+			emitter.on('error', spy);
+
+			expect(emitter.emit('error', error)).to.equal(true);
+			sinon.assert.calledWithExactly(spy, error);
+		});
+	});
+
+	describe('max listeners', () => {
+		it('should warn once when exceeding the maximum number of listeners', () => {
+			let emitWarning = sandbox.stub(process, 'emitWarning'), warning;
+
+			emitter.setMaxListeners(1);
+
+			emitter.on('foo', spy);
+			emitter.on('foo', spy);
+			emitter.on('foo', spy);
+
+			sinon.assert.calledOnce(emitWarning);
+
+			warning = emitWarning.firstCall.args[0];
+
+			expect(warning.name).to.equal('MaxListenersExceededWarning');
+			expect(warning.emitter).to.equal(emitter);
+			expect(warning.type).to.equal('foo');
+			expect(warning.count).to.equal(2);
+		});
+
+		it('should not warn if the maximum is zero', () => {
+			let emitWarning = sandbox.stub(process, 'emitWarning');
+
+			emitter.setMaxListeners(0);
+
+			for(let i = 0; i < 20; i++) {
+				emitter.on('foo', spy);
+			}
+
+			sinon.assert.notCalled(emitWarning);
+		});
+
+		it('should fall back to the default maximum', () => {
+			let previous = EventEmitter.defaultMaxListeners;
+
+			expect(previous).to.equal(10);
+			expect(emitter.getMaxListeners()).to.equal(10);
+
+			EventEmitter.defaultMaxListeners = 3;
+
+			expect(emitter.getMaxListeners()).to.equal(3);
+			expect(emitter.setMaxListeners(5).getMaxListeners()).to.equal(5);
+
+			EventEmitter.defaultMaxListeners = previous;
+		});
+
+		it('should throw for invalid maximums', () => {
+			expect(() => emitter.setMaxListeners(-1)).to.throw(RangeError);
+			expect(() => emitter.setMaxListeners(NaN)).to.throw(RangeError);
+			expect(() => emitter.setMaxListeners('10')).to.throw(RangeError);
+			expect(() => { EventEmitter.defaultMaxListeners = -1; }).to.throw(RangeError);
+		});
+	});
+
+	describe('flexee features', () => {
+		it('should fall back to the flexee signature', async () => {
+			let result;
+
+			emitter.on(/^foo/, spy);
+			emitter.on('bar', spy, { once: true });
+
+			emitter.emit('foo.bar', 'detail');
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWith(spy, { name: 'foo.bar', context: emitter }, 'detail');
+
+			result = emitter.waitFor('baz');
+
+			emitter.emit('baz', 'detail');
+
+			expect((await result).details).to.deep.equal([ 'detail' ]);
+		});
+
+		it('should call Node style listeners for asynchronous emits', async () => {
+			let report;
+
+			emitter.on('foo', spy);
+
+			report = await emitter.emitAsync('foo', 'detail');
+
+			sinon.assert.calledWithExactly(spy, 'detail');
+			expect(report.executed).to.have.lengthOf(1);
+		});
+
+		it('should keep listeners in sync when removing across identifiers', () => {
+			let other = sandbox.spy();
+
+			emitter.on('removeListener', other);
+			emitter.on('foo', spy);
+			emitter.on('foo.*', spy);
+			emitter.on('bar', spy);
+			emitter.once('baz', spy);
+			emitter.on(/^baz/, spy);
+
+			emitter.offMatching('foo.*');
+
+			expect(emitter.eventNames()).to.deep.equal([ 'removeListener', 'foo', 'bar', 'baz' ]);
+			sinon.assert.calledWithExactly(other, 'foo.*', spy);
+
+			emitter.offCallback(spy);
+
+			expect(emitter.eventNames()).to.deep.equal([ 'removeListener' ]);
+			expect(emitter.listener('baz')).to.have.lengthOf(0);
+
+			emitter.on('foo', spy).offAll();
+
+			expect(emitter.eventNames()).to.deep.equal([]);
+			expect(emitter.describe()).to.have.lengthOf(0);
+		});
+
+		it('should support chaining', () => {
+			expect(emitter.on('foo', spy).once('foo', spy).prependListener('foo', spy).prependOnceListener('foo', spy).off('foo', spy).removeAllListeners()).to.equal(emitter);
+		});
+	});
+
+	describe('ports of Node tests', () => {
+		function noop() {}
+
+		function collect(names) {
+			return (name) => {
+				names.push(name);
+			};
+		}
+
+		describe('test-event-emitter-symbols', () => {
+			it('should support Symbols as event names', () => {
+				let foo = Symbol('foo');
+
+				emitter.on(foo, spy);
+
+				expect(emitter.listeners(foo)).to.deep.equal([ spy ]);
+				expect(emitter.eventNames()).to.deep.equal([ foo ]);
+				expect(emitter.emit(foo, 'detail')).to.equal(true);
+
+				sinon.assert.calledOnce(spy);
+				sinon.assert.calledWithExactly(spy, 'detail');
+
+				emitter.removeAllListeners();
+
+				expect(emitter.listeners(foo)).to.deep.equal([]);
+				expect(emitter.emit(foo)).to.equal(false);
+
+				emitter.on(foo, spy);
+				emitter.removeListener(foo, spy);
+
+				expect(emitter.listeners(foo)).to.deep.equal([]);
+			});
+
+			it('should call once listeners for Symbols only once', () => {
+				let foo = Symbol('foo');
+
+				emitter.once(foo, spy);
+				emitter.emit(foo);
+				emitter.emit(foo);
+
+				sinon.assert.calledOnce(spy);
+				expect(emitter.listenerCount(foo)).to.equal(0);
+			});
+		});
+
+		describe('test-event-emitter-once', () => {
+			it('should call once listeners only once', () => {
+				emitter.once('hello', spy);
+
+				emitter.emit('hello', 'a', 'b');
+				emitter.emit('hello', 'a', 'b');
+				emitter.emit('hello', 'a', 'b');
+				emitter.emit('hello', 'a', 'b');
+
+				sinon.assert.calledOnce(spy);
+			});
+
+			it('should not call removed once listeners', () => {
+				emitter.once('foo', spy);
+				emitter.removeListener('foo', spy);
+				emitter.emit('foo');
+
+				sinon.assert.notCalled(spy);
+			});
+
+			it('should allow emitting the same event from once listeners', () => {
+				let first = sandbox.spy(() => emitter.emit('e'));
+
+				emitter.once('e', first);
+				emitter.once('e', spy);
+				emitter.emit('e');
+
+				sinon.assert.calledOnce(first);
+				sinon.assert.calledOnce(spy);
+			});
+
+			it('should throw for listeners not being functions', () => {
+				expect(() => emitter.once('foo', null)).to.throw(TypeError);
+			});
+
+			it('should pass any number of arguments', () => {
+				[ [], [ 'a' ], [ 'a', 'b' ], [ 'a', 'b', 'c' ], [ 'a', 'b', 'c', 'd' ] ].forEach((parameters) => {
+					let listener = sandbox.spy();
+
+					emitter.once('foo', listener);
+					emitter.emit('foo', ...parameters);
+
+					sinon.assert.calledOnce(listener);
+					expect(listener.firstCall.args).to.deep.equal(parameters);
+				});
+			});
+		});
+
+		describe('test-event-emitter-prepend', () => {
+			it('should call prepended listeners first', () => {
+				let order = [];
+
+				emitter.on('foo', () => order.push(2));
+				emitter.prependListener('foo', () => order.push(1));
+				emitter.prependOnceListener('foo', () => order.push(0));
+				emitter.emit('foo');
+
+				expect(order).to.deep.equal([ 0, 1, 2 ]);
+			});
+		});
+
+		describe('test-event-emitter-remove-listeners', () => {
+			function listener1() {}
+			function listener2() {}
+
+			it('should emit "removeListener" after removing a listener', () => {
+				let removed = sandbox.spy(() => {
+					expect(emitter.listeners('hello')).to.deep.equal([]);
+				});
+
+				emitter.on('hello', listener1);
+				emitter.on('removeListener', removed);
+				emitter.removeListener('hello', listener1);
+
+				sinon.assert.calledOnce(removed);
+				sinon.assert.calledWithExactly(removed, 'hello', listener1);
+				expect(emitter.listeners('hello')).to.deep.equal([]);
+			});
+
+			it('should ignore listeners not subscribed', () => {
+				emitter.on('hello', listener1);
+				emitter.on('removeListener', spy);
+				emitter.removeListener('hello', listener2);
+
+				sinon.assert.notCalled(spy);
+				expect(emitter.listeners('hello')).to.deep.equal([ listener1 ]);
+			});
+
+			it('should remove listeners one after the other', () => {
+				let first  = sandbox.spy(() => expect(emitter.listeners('hello')).to.deep.equal([ listener2 ]));
+				let second = sandbox.spy(() => expect(emitter.listeners('hello')).to.deep.equal([]));
+
+				emitter.on('hello', listener1);
+				emitter.on('hello', listener2);
+
+				emitter.once('removeListener', first);
+				emitter.removeListener('hello', listener1);
+
+				expect(emitter.listeners('hello')).to.deep.equal([ listener2 ]);
+
+				emitter.once('removeListener', second);
+				emitter.removeListener('hello', listener2);
+
+				expect(emitter.listeners('hello')).to.deep.equal([]);
+				sinon.assert.calledWithExactly(first, 'hello', listener1);
+				sinon.assert.calledWithExactly(second, 'hello', listener2);
+			});
+
+			it('should allow removing listeners from "removeListener" listeners', () => {
+				let remove1 = sandbox.spy(), remove2 = sandbox.spy();
+				let removed = sandbox.spy(function (name, callback) {
+					if(callback === remove1) {
+						this.removeListener('quux', remove2);
+						this.emit('quux');
+					}
+				});
+
+				emitter.on('removeListener', removed);
+				emitter.on('quux', remove1);
+				emitter.on('quux', remove2);
+				emitter.removeListener('quux', remove1);
+
+				sinon.assert.calledTwice(removed);
+				sinon.assert.notCalled(remove1);
+				sinon.assert.notCalled(remove2);
+			});
+
+			it('should allow nested removals', () => {
+				let second = sandbox.spy(() => expect(emitter.listeners('hello')).to.deep.equal([]));
+				let first  = sandbox.spy(() => {
+					expect(emitter.listeners('hello')).to.deep.equal([ listener2 ]);
+
+					emitter.once('removeListener', second);
+					emitter.removeListener('hello', listener2);
+
+					expect(emitter.listeners('hello')).to.deep.equal([]);
+				});
+
+				emitter.on('hello', listener1);
+				emitter.on('hello', listener2);
+				emitter.once('removeListener', first);
+				emitter.removeListener('hello', listener1);
+
+				expect(emitter.listeners('hello')).to.deep.equal([]);
+				sinon.assert.calledWithExactly(first, 'hello', listener1);
+				sinon.assert.calledWithExactly(second, 'hello', listener2);
+			});
+
+			it('should return the emitter', () => {
+				expect(emitter.removeListener('foo', noop)).to.equal(emitter);
+			});
+
+			it('should call listeners removed during an emit for that emit', () => {
+				let listener4 = sandbox.spy();
+				let listener3 = sandbox.spy(() => emitter.removeListener('hello', listener4));
+
+				emitter.on('hello', listener3);
+				emitter.on('hello', listener4);
+
+				emitter.emit('hello');
+				emitter.emit('hello');
+
+				sinon.assert.calledTwice(listener3);
+				sinon.assert.calledOnce(listener4);
+			});
+
+			it('should pass the original listener of once listeners to "removeListener"', () => {
+				emitter.once('hello', listener1);
+				emitter.on('removeListener', spy);
+				emitter.emit('hello');
+
+				sinon.assert.calledOnce(spy);
+				sinon.assert.calledWithExactly(spy, 'hello', listener1);
+			});
+		});
+
+		describe('test-event-emitter-remove-all-listeners', () => {
+			it('should remove all listeners of an event', () => {
+				let names = [], foo, bar, baz;
+
+				emitter.on('foo', noop);
+				emitter.on('bar', noop);
+				emitter.on('baz', noop);
+				emitter.on('baz', noop);
+
+				foo = emitter.listeners('foo');
+				bar = emitter.listeners('bar');
+				baz = emitter.listeners('baz');
+
+				emitter.on('removeListener', collect(names));
+				emitter.removeAllListeners('bar');
+				emitter.removeAllListeners('baz');
+
+				expect(names).to.deep.equal([ 'bar', 'baz', 'baz' ]);
+				expect(emitter.listeners('foo')).to.deep.equal([ noop ]);
+				expect(emitter.listeners('bar')).to.deep.equal([]);
+				expect(emitter.listeners('baz')).to.deep.equal([]);
+				expect(foo).to.deep.equal([ noop ]);
+				expect(bar).to.deep.equal([ noop ]);
+				expect(baz).to.deep.equal([ noop, noop ]);
+			});
+
+			it('should remove all listeners, the "removeListener" ones last', () => {
+				let first = [], second = [];
+
+				emitter.on('foo', noop);
+				emitter.on('bar', noop);
+				emitter.on('removeListener', collect(first));
+				emitter.on('removeListener', collect(second));
+				emitter.removeAllListeners();
+
+				expect(first).to.deep.equal([ 'foo', 'bar', 'removeListener' ]);
+				expect(second).to.deep.equal([ 'foo', 'bar' ]);
+				expect(emitter.eventNames()).to.deep.equal([]);
+			});
+
+			it('should ignore events without listeners', () => {
+				emitter.on('removeListener', spy);
+				emitter.removeAllListeners('baz');
+
+				sinon.assert.notCalled(spy);
+			});
+
+			it('should remove listeners one by one', () => {
+				let expected = 2;
+
+				emitter.on('removeListener', function () {
+					expect(this.listeners('baz')).to.have.lengthOf(expected--);
+				});
+
+				emitter.on('baz', noop);
+				emitter.on('baz', noop);
+				emitter.on('baz', noop);
+
+				expect(emitter.listeners('baz')).to.have.lengthOf(3);
+
+				emitter.removeAllListeners('baz');
+
+				expect(expected).to.equal(-1);
+				expect(emitter.listeners('baz')).to.have.lengthOf(0);
+			});
+
+			it('should return the emitter', () => {
+				expect(emitter.removeAllListeners()).to.equal(emitter);
+			});
+
+			it('should remove listeners of Symbols', () => {
+				let symbol = Symbol('symbol');
+
+				emitter.on(symbol, noop);
+				emitter.on('removeListener', spy);
+				emitter.removeAllListeners();
+
+				sinon.assert.calledOnce(spy);
+				sinon.assert.calledWithExactly(spy, symbol, noop);
+			});
+		});
+
+		describe('test-event-emitter-listener-count', () => {
+			it('should count listeners per event', () => {
+				emitter.on('foo', noop);
+				emitter.on('foo', noop);
+				emitter.on('baz', noop);
+
+				expect(emitter.listenerCount('foo')).to.equal(2);
+				expect(emitter.listenerCount('bar')).to.equal(0);
+				expect(emitter.listenerCount('baz')).to.equal(1);
+
+				emitter.on(123, noop);
+
+				expect(emitter.listenerCount(123)).to.equal(1);
+				expect(emitter.emit(123)).to.equal(true);
+			});
+		});
+
+		describe('test-event-emitter-max-listeners', () => {
+			it('should not interfere with a "maxListeners" event', () => {
+				emitter.on('maxListeners', spy);
+				emitter.setMaxListeners(42);
+				emitter.emit('maxListeners');
+
+				sinon.assert.calledOnce(spy);
+			});
+
+			it('should throw a RangeError for invalid maximums', () => {
+				[ NaN, -1, 'and even this' ].forEach((value) => {
+					expect(() => emitter.setMaxListeners(value)).to.throw(RangeError);
+					expect(() => { EventEmitter.defaultMaxListeners = value; }).to.throw(RangeError);
+				});
+
+				expect(EventEmitter.defaultMaxListeners).to.equal(10);
+			});
+		});
+
+		describe('test-event-emitter-get-max-listeners', () => {
+			it('should retrieve the maximum', () => {
+				expect(emitter.getMaxListeners()).to.equal(EventEmitter.defaultMaxListeners);
+
+				emitter.setMaxListeners(0);
+				expect(emitter.getMaxListeners()).to.equal(0);
+
+				emitter.setMaxListeners(3);
+				expect(emitter.getMaxListeners()).to.equal(3);
+			});
+
+			it('should accept maximums not being integers', () => {
+				let emitWarning = sandbox.stub(process, 'emitWarning');
+
+				emitter.setMaxListeners(1.5);
+
+				expect(emitter.getMaxListeners()).to.equal(1.5);
+
+				emitter.on('foo', noop);
+				sinon.assert.notCalled(emitWarning);
+
+				emitter.on('foo', noop);
+				sinon.assert.calledOnce(emitWarning);
+			});
+
+			it('should accept default maximums not being integers', () => {
+				let previous = EventEmitter.defaultMaxListeners;
+
+				EventEmitter.defaultMaxListeners = 2.5;
+
+				expect(EventEmitter.defaultMaxListeners).to.equal(2.5);
+				expect(new EventEmitter().getMaxListeners()).to.equal(2.5);
+
+				EventEmitter.defaultMaxListeners = previous;
+
+				expect(EventEmitter.defaultMaxListeners).to.equal(previous);
+			});
+		});
+	});
+});
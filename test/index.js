@@ -3,6 +3,16 @@
 const expect       = require('chai').expect;
 const sinon        = require('sinon');
 const Emitter      = require('../index.js');
+const itAbortable  = typeof AbortController === 'function' ? it : it.skip;
+const threads      = requireOptional('worker_threads');
+
+function requireOptional(name) {
+	try {
+		return require(name);
+	} catch(error) {
+		return null;
+	}
+}
 
 describe('class/emitter.js', () => {
 	let sandbox;
@@ -82,6 +92,8 @@ describe('class/emitter.js', () => {
 					} catch(error) {
 						reject(error);
 					}
+
+					Emitter.off(event);
 				}, 10);
 			});
 		});
@@ -114,257 +126,2895 @@ describe('class/emitter.js', () => {
 		});
 	});
 
-	describe('on()', () => {
-		it('should call an event listener repeatedly', () => {
-			emitter
-				.on(event, spy)
-				.emit(event)
-				.emit(event);
+	describe('emitAsync()', () => {
+		it('should resolve once all listeners have completed', async () => {
+			let completed = false;
 
-			return new Promise((resolve, reject) => {
-				setTimeout(() => {
-					try {
-						sinon.assert.called(spy);
-						sinon.assert.calledOn(spy, emitter);
-						sinon.assert.callCount(spy, 2);
-						sinon.assert.alwaysCalledWithExactly(spy, { name: event, context: emitter });
+			function delayed() {
+				return new Promise((resolve) => {
+					setTimeout(() => {
+						completed = true;
 
 						resolve();
-					} catch(error) {
-						reject(error);
-					}
-				}, 10);
-			});
+					}, 10);
+				});
+			}
+
+			let report = await emitter
+				.on(event, delayed)
+				.on(event, spy)
+				.emitAsync(event, 'first');
+
+			expect(completed).to.equal(true);
+			expect(report.event.name).to.equal(event);
+			expect(report.isCanceled).to.equal(false);
+			expect(report.executed).to.deep.equal([ delayed, spy ]);
+			expect(report.skipped).to.be.an('array').and.to.have.length.of(0);
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWithExactly(spy, { name: event, context: emitter }, 'first');
 		});
 
-		it('should call an expression listener repeatedly', () => {
-			let regex = new RegExp('^' + event + '/(?:success|failure)');
+		it('should report canceled events and skipped listeners', async () => {
+			function cancel(event) {
+				event.cancel();
+			}
 
-			function testEvent(event) {
-				return regex.test(event.name) && event.context instanceof Emitter;
+			let report = await emitter
+				.on(event, cancel)
+				.on(event, spy)
+				.emitAsync(event);
+
+			expect(report.isCanceled).to.equal(true);
+			expect(report.executed).to.deep.equal([ cancel ]);
+			expect(report.skipped).to.deep.equal([ spy ]);
+
+			sinon.assert.notCalled(spy);
+		});
+
+		it('should resolve for events without listeners', async () => {
+			let report = await emitter.emitAsync(event);
+
+			expect(report.event.name).to.equal(event);
+			expect(report.executed).to.be.an('array').and.to.have.length.of(0);
+		});
+	});
+
+	describe('error handling', () => {
+		let error;
+
+		function fail() {
+			throw error;
+		}
+
+		function reject() {
+			return Promise.reject(error);
+		}
+
+		beforeEach(() => {
+			error = new Error('listener failed');
+		});
+
+		afterEach(() => {
+			Emitter
+				.setErrorHandler(null)
+				.setErrorPolicy('abort');
+		});
+
+		it('should emit an error event for throwing listeners', async () => {
+			let report = await emitter
+				.on('error', spy)
+				.on(event, fail)
+				.emitAsync(event);
+
+			expect(report.errors).to.deep.equal([ error ]);
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWithMatch(spy, { name: 'error', context: emitter }, error, { name: event });
+		});
+
+		it('should emit an error event for rejecting listeners', async () => {
+			let report = await emitter
+				.on('error', spy)
+				.on(event, reject)
+				.emitAsync(event);
+
+			expect(report.errors).to.deep.equal([ error ]);
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWithMatch(spy, { name: 'error' }, error);
+		});
+
+		it('should reject if an error is unhandled', async () => {
+			let caught;
+
+			try {
+				await emitter
+					.on(event, fail)
+					.emitAsync(event);
+			} catch(exception) {
+				caught = exception;
+			}
+
+			expect(caught).to.equal(error);
+		});
+
+		it('should pass errors to the error handler of the emitter', async () => {
+			await emitter
+				.setErrorHandler(spy)
+				.on(event, fail)
+				.emitAsync(event);
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledOn(spy, emitter);
+			sinon.assert.calledWithMatch(spy, error, { name: event });
+		});
+
+		it('should pass errors to the global error handler', async () => {
+			Emitter.setErrorHandler(spy);
+
+			await emitter
+				.on(event, fail)
+				.emitAsync(event);
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledOn(spy, emitter);
+			sinon.assert.calledWithMatch(spy, error, { name: event });
+		});
+
+		it('should not emit an error event for failing error listeners', async () => {
+			let handler = sandbox.spy();
+
+			await emitter
+				.setErrorHandler(handler)
+				.on('error', fail)
+				.emitAsync('error');
+
+			sinon.assert.calledOnce(handler);
+			sinon.assert.calledWithMatch(handler, error, { name: 'error' });
+		});
+
+		it('should abort the listener chain by default', async () => {
+			let report = await emitter
+				.setErrorHandler(function() {})
+				.on(event, fail)
+				.on(event, spy)
+				.emitAsync(event);
+
+			expect(report.executed).to.deep.equal([ fail ]);
+			expect(report.skipped).to.deep.equal([ spy ]);
+
+			sinon.assert.notCalled(spy);
+		});
+
+		it('should continue the listener chain if configured', async () => {
+			let report = await emitter
+				.setErrorHandler(function() {})
+				.setErrorPolicy('continue')
+				.on(event, fail)
+				.on(event, spy)
+				.emitAsync(event);
+
+			expect(report.executed).to.deep.equal([ fail, spy ]);
+			expect(report.skipped).to.be.an('array').and.to.have.length.of(0);
+
+			sinon.assert.calledOnce(spy);
+		});
+
+		it('should respect the global error policy', async () => {
+			Emitter.setErrorPolicy('continue');
+
+			await emitter
+				.setErrorHandler(function() {})
+				.on(event, fail)
+				.on(event, spy)
+				.emitAsync(event);
+
+			sinon.assert.calledOnce(spy);
+		});
+	});
+
+	describe('emitCollect()', () => {
+		it('should collect the resolved return values of all listeners in order', async () => {
+			let results = await emitter
+				.on(event, () => new Promise((resolve) => setTimeout(() => resolve('second'), 10)))
+				.on(event, () => 'first', { prepend: true })
+				.on(event, (event, detail) => detail)
+				.emitCollect(event, 'third');
+
+			expect(results).to.deep.equal([ 'first', 'second', 'third' ]);
+		});
+
+		it('should collect in order for parallel dispatch', async () => {
+			let results = await emitter
+				.on(event, () => new Promise((resolve) => setTimeout(() => resolve('first'), 10)))
+				.on(event, () => 'second')
+				.emitCollect({ name: event, strategy: 'parallel' });
+
+			expect(results).to.deep.equal([ 'first', 'second' ]);
+		});
+
+		it('should only collect fulfilled values for settled dispatch', async () => {
+			let results = await emitter
+				.on(event, () => 'first')
+				.on(event, () => Promise.reject(new Error('listener failed')))
+				.on(event, () => 'second')
+				.emitCollect({ name: event, strategy: 'settled' });
+
+			expect(results).to.deep.equal([ 'first', 'second' ]);
+		});
+	});
+
+	describe('emitReduce()', () => {
+		it('should pass the accumulated value from one listener to the next', async () => {
+			let result = await emitter
+				.on(event, (event, config, detail) => Object.assign({}, config, { second: detail }))
+				.on(event, (event, config) => Promise.resolve(Object.assign({}, config, { first: true })), { priority: 1 })
+				.emitReduce(event, { initial: true }, 'detail');
+
+			expect(result).to.deep.equal({ initial: true, first: true, second: 'detail' });
+		});
+
+		it('should resolve with the initial value without listeners', async () => {
+			let result = await emitter.emitReduce(event, 'initial');
+
+			expect(result).to.equal('initial');
+		});
+
+		it('should resolve with the value accumulated until cancelation', async () => {
+			let result = await emitter
+				.on(event, (event, value) => value + 1)
+				.on(event, (event, value) => {
+					event.cancel();
+
+					return value + 1;
+				})
+				.on(event, (event, value) => value + 1)
+				.emitReduce(event, 0);
+
+			expect(result).to.equal(2);
+		});
+	});
+
+	describe('emitSync()', () => {
+		it('should call listeners synchronously', () => {
+			let results = emitter
+				.on(event, () => 'first')
+				.on(event, spy)
+				.on(event, (event, detail) => detail)
+				.emitSync(event, 'second');
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledOn(spy, emitter);
+			sinon.assert.calledWithExactly(spy, { name: event, context: emitter }, 'second');
+
+			expect(results).to.deep.equal([ 'first', undefined, 'second' ]);
+		});
+
+		it('should respect cancelation and limits', () => {
+			function cancel(event) {
+				event.cancel();
 			}
 
+			let other = sandbox.spy();
+
+			emitter
+				.once(event, spy)
+				.on(event, cancel)
+				.on(event, other);
+
+			emitter.emitSync(event);
+			emitter.emitSync(event);
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.notCalled(other);
+			expect(emitter.listener(event)).to.deep.equal([ cancel, other ]);
+		});
+
+		it('should throw if a listener returns a thenable', () => {
+			emitter.on(event, () => ({ then: function() {} }));
+
+			expect(() => emitter.emitSync(event)).to.throw(TypeError, /thenable/);
+		});
+
+		it('should synchronously emit an error event for throwing listeners', () => {
+			let error = new Error('listener failed');
+
+			emitter
+				.on('error', spy)
+				.on(event, () => { throw error; })
+				.emitSync(event);
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWithMatch(spy, { name: 'error' }, error, { name: event });
+		});
+
+		it('should throw if an error is unhandled', () => {
+			let error = new Error('listener failed');
+
+			emitter.on(event, () => { throw error; });
+
+			expect(() => emitter.emitSync(event)).to.throw(error);
+		});
+	});
+
+	describe('waitFor()', () => {
+		it('should resolve with the event and its details', async () => {
+			let promise = emitter.waitFor(event);
+
+			expect(emitter.listener(event)).to.have.length.of(1);
+
+			emitter.emit(event, 'first', 'second');
+
+			let result = await promise;
+
+			expect(result.event.name).to.equal(event);
+			expect(result.details).to.deep.equal([ 'first', 'second' ]);
+			expect(emitter.listener(event)).to.be.an('array').and.to.have.length.of(0);
+		});
+
+		it('should support RegExp and array identifiers', async () => {
+			let regex   = new RegExp('^' + event + '/(?:success|failure)$');
+			let promise = emitter.waitFor([ regex, event + '/other' ]);
+
 			emitter
-				.on(regex, spy)
 				.emit(event + '/none')
-				.emit(event + '/success')
 				.emit(event + '/failure')
-				.emit(event)
-				.emit('none');
+				.emit(event + '/other');
 
-			return new Promise((resolve, reject) => {
-				setTimeout(() => {
-					try {
-						sinon.assert.called(spy);
-						sinon.assert.calledOn(spy, emitter);
-						sinon.assert.callCount(spy, 2);
-						sinon.assert.alwaysCalledWithMatch(spy, testEvent);
+			let result = await promise;
 
-						resolve();
-					} catch(error) {
-						reject(error);
-					}
-				}, 10);
-			});
+			expect(result.event.name).to.equal(event + '/failure');
+			expect(emitter.listener(event + '/other')).to.be.an('array').and.to.have.length.of(0);
 		});
 
-		it('should call an array of listeners repeatedly', () => {
+		it('should only resolve for events accepted by the filter', async () => {
+			let promise = emitter.waitFor(event, { filter: (event, detail) => detail === 'ready' });
+
 			emitter
-				.on([ event, event ], spy)
-				.emit(event)
-				.emit(event);
+				.emit(event, 'pending')
+				.emit(event, 'ready');
 
-			return new Promise((resolve, reject) => {
-				setTimeout(() => {
-					try {
-						sinon.assert.called(spy);
-						sinon.assert.calledOn(spy, emitter);
-						sinon.assert.callCount(spy, 4);
-						sinon.assert.alwaysCalledWithExactly(spy, { name: event, context: emitter });
+			let result = await promise;
 
-						resolve();
-					} catch(error) {
-						reject(error);
-					}
-				}, 10);
-			});
+			expect(result.details).to.deep.equal([ 'ready' ]);
 		});
 
-		it('should not listen to broadcast events', () => {
+		it('should reject on timeout', async () => {
+			let caught;
+
+			try {
+				await emitter.waitFor(event, { timeout: 10 });
+			} catch(error) {
+				caught = error;
+			}
+
+			expect(caught).to.be.an('error');
+			expect(caught.name).to.equal('TimeoutError');
+			expect(emitter.listener(event)).to.be.an('array').and.to.have.length.of(0);
+		});
+
+		itAbortable('should reject once the signal gets aborted', async () => {
+			let controller = new AbortController();
+			let promise    = emitter.waitFor(event, { signal: controller.signal });
+			let caught;
+
+			controller.abort();
+
+			try {
+				await promise;
+			} catch(error) {
+				caught = error;
+			}
+
+			expect(caught.name).to.equal('AbortError');
+			expect(emitter.listener(event)).to.be.an('array').and.to.have.length.of(0);
+		});
+
+		it('should wait for broadcast events', async () => {
+			let promise = Emitter.waitFor(event);
+
+			emitter.emit(event);
+
+			let result = await promise;
+
+			expect(result.event.context).to.equal(emitter);
+			expect(Emitter.listener(event)).to.be.an('array').and.to.have.length.of(0);
+		});
+
+		it('should resolve once any of several events got emitted', async () => {
+			let promise = emitter.waitForAny([ event + '/first', event + '/second' ]);
+
+			emitter.emit(event + '/second');
+
+			let result = await promise;
+
+			expect(result.event.name).to.equal(event + '/second');
+			expect(emitter.listener(event + '/first')).to.be.an('array').and.to.have.length.of(0);
+		});
+
+		it('should resolve once all of several events got emitted', async () => {
+			let promise = emitter.waitForAll([ event + '/first', event + '/second' ], { timeout: 1000 });
+
 			emitter
-				.on(event, spy);
+				.emit(event + '/second', 2)
+				.emit(event + '/second', 3)
+				.emit(event + '/first', 1);
 
-			(new Emitter()).emit(event);
+			let result = await promise;
 
-			return new Promise((resolve, reject) => {
-				setTimeout(() => {
-					try {
-						sinon.assert.notCalled(spy);
+			expect(result.map((result) => result.details[0])).to.deep.equal([ 1, 2 ]);
+		});
 
-						resolve();
-					} catch(error) {
-						reject(error);
-					}
-				}, 10);
-			});
+		it('should remove all listeners if waiting for all events fails', async () => {
+			let caught;
+
+			emitter.emit(event + '/first');
+
+			try {
+				await emitter.waitForAll([ event + '/first', event + '/second' ], { timeout: 10 });
+			} catch(error) {
+				caught = error;
+			}
+
+			expect(caught.name).to.equal('TimeoutError');
+			expect(emitter.listener(event + '/first')).to.be.an('array').and.to.have.length.of(0);
+			expect(emitter.listener(event + '/second')).to.be.an('array').and.to.have.length.of(0);
 		});
 	});
 
-	describe('once()', () => {
-		it('should call an event listener only once', async () => {
+	describe('events()', () => {
+		it('should iterate over emitted events', async () => {
+			let iterator = emitter.setDelimiter('/').events(event + '/*', { filter: (event, detail) => detail !== 'skip' });
+			let results  = [];
+
 			emitter
-				.once(event, spy)
-				.emit(event)
-				.emit(event);
+				.emit(event + '/first', 1)
+				.emit(event + '/skipped', 'skip')
+				.emit(event + '/second', 2)
+				.emit(event + '/third', 3);
 
-			return new Promise((resolve, reject) => {
-				setTimeout(() => {
-					try {
-						sinon.assert.called(spy);
-						sinon.assert.calledOn(spy, emitter);
-						sinon.assert.callCount(spy, 1);
-						sinon.assert.calledWithExactly(spy, { name: event, context: emitter });
+			for await (let item of iterator) {
+				results.push(item.event.name + ':' + item.details[0]);
 
-						resolve();
-					} catch(error) {
-						reject(error);
-					}
-				}, 10);
-			});
+				if(results.length === 3) {
+					break;
+				}
+			}
+
+			expect(results).to.deep.equal([ event + '/first:1', event + '/second:2', event + '/third:3' ]);
+			expect(emitter.listener(event + '/first')).to.be.an('array').and.to.have.length.of(0);
+		});
+
+		it('should resolve pending reads once events get emitted', async () => {
+			let iterator = emitter.events(event);
+			let pending  = iterator.next();
+
+			emitter.emit(event, 'first');
+
+			let result = await pending;
+
+			expect(result.done).to.equal(false);
+			expect(result.value.details).to.deep.equal([ 'first' ]);
+		});
+
+		it('should finish and unsubscribe on return()', async () => {
+			let iterator = emitter.events(event);
+			let pending  = iterator.next();
+
+			await iterator.return();
+
+			expect(await pending).to.deep.equal({ value: undefined, done: true });
+			expect(await iterator.next()).to.deep.equal({ value: undefined, done: true });
+			expect(emitter.listener(event)).to.be.an('array').and.to.have.length.of(0);
+		});
+
+		it('should drop the oldest events on overflow', async () => {
+			let iterator = emitter.events(event, { size: 2, overflow: 'drop-oldest' });
+
+			emitter.emitSync(event, 1);
+			emitter.emitSync(event, 2);
+			emitter.emitSync(event, 3);
+
+			expect((await iterator.next()).value.details).to.deep.equal([ 2 ]);
+			expect((await iterator.next()).value.details).to.deep.equal([ 3 ]);
+		});
+
+		it('should drop the newest events on overflow', async () => {
+			let iterator = emitter.events(event, { size: 2, overflow: 'drop-newest' });
+
+			emitter.emitSync(event, 1);
+			emitter.emitSync(event, 2);
+			emitter.emitSync(event, 3);
+
+			expect((await iterator.next()).value.details).to.deep.equal([ 1 ]);
+			expect((await iterator.next()).value.details).to.deep.equal([ 2 ]);
+		});
+
+		it('should throw on overflow', async () => {
+			let iterator = emitter.events(event, { size: 1 });
+			let caught;
+
+			emitter.emitSync(event, 1);
+			emitter.emitSync(event, 2);
+
+			expect((await iterator.next()).value.details).to.deep.equal([ 1 ]);
+
+			try {
+				await iterator.next();
+			} catch(error) {
+				caught = error;
+			}
+
+			expect(caught).to.be.an.instanceof(RangeError);
+			expect(await iterator.next()).to.deep.equal({ value: undefined, done: true });
+			expect(emitter.listener(event)).to.be.an('array').and.to.have.length.of(0);
+		});
+
+		itAbortable('should reject once the signal gets aborted', async () => {
+			let controller = new AbortController();
+			let iterator   = Emitter.events(event, { signal: controller.signal });
+			let pending    = iterator.next();
+			let caught;
+
+			expect(Emitter.listener(event)).to.have.length.of(1);
+
+			controller.abort();
+
+			try {
+				await pending;
+			} catch(error) {
+				caught = error;
+			}
+
+			expect(caught.name).to.equal('AbortError');
+			expect(Emitter.listener(event)).to.be.an('array').and.to.have.length.of(0);
+		});
+
+		it('should iterate over broadcast events', async () => {
+			let iterator = Emitter.events(event);
+
+			emitter.emit(event, 'first');
+
+			let result = await iterator.next();
+
+			await iterator.return();
+
+			expect(result.value.event.context).to.equal(emitter);
+			expect(Emitter.listener(event)).to.be.an('array').and.to.have.length.of(0);
+		});
+	});
+
+	describe('record()', () => {
+		it('should record emitted events', async () => {
+			let journal = emitter.record();
+
+			function named() {}
+
+			await emitter
+				.on(event, named)
+				.on(event, (event) => event.cancel())
+				.emitAsync(event, 'detail');
+
+			emitter.emitSync(event + '.sync');
+
+			let records = journal.records();
+
+			expect(records).to.have.length(2);
+			expect(records[0]).to.include({ name: event, canceled: true });
+			expect(records[0].details).to.deep.equal([ 'detail' ]);
+			expect(records[0].listeners).to.deep.equal([ 'named', 'anonymous' ]);
+			expect(records[0].timestamp).to.be.a('number');
+			expect(records[0].emitter).to.be.a('number');
+			expect(records[1]).to.include({ name: event + '.sync', canceled: false, emitter: records[0].emitter });
+		});
+
+		it('should record the outcome of events behind middleware not returning next()', async () => {
+			let journal = emitter.record();
+
+			function named() {}
+
+			await emitter
+				.use((context, next) => {
+					next();
+				})
+				.on(event, () => new Promise((resolve) => setTimeout(resolve, 10)))
+				.on(event, named)
+				.on(event, (event) => event.cancel())
+				.emitAsync(event);
+
+			expect(journal.records()[0]).to.include({ canceled: true });
+			expect(journal.records()[0].listeners).to.deep.equal([ 'anonymous', 'named', 'anonymous' ]);
+		});
+
+		it('should record events of all instances globally', async () => {
+			let journal = Emitter.record();
+			let other   = new Emitter();
+
+			await emitter.emitAsync(event);
+			await other.emitAsync(event);
+
+			journal.detach(Emitter);
+
+			await emitter.emitAsync(event);
+
+			let records = journal.records();
+
+			expect(records).to.have.length(2);
+			expect(records[0].emitter).to.not.equal(records[1].emitter);
+		});
+
+		it('should keep a bounded number of records', () => {
+			let journal = emitter.record({ size: 2 });
+
+			emitter.emitSync(event, 1);
+			emitter.emitSync(event, 2);
+			emitter.emitSync(event, 3);
+
+			expect(journal.records().map((record) => record.details[0])).to.deep.equal([ 2, 3 ]);
+			expect(journal.clear().records()).to.deep.equal([]);
+		});
+
+		it('should replay records into another emitter', async () => {
+			let journal = emitter.record();
+			let target  = new Emitter().on(event, spy);
+
+			emitter.emitSync(event, 1);
+			emitter.emitSync(event, 2);
+
+			let reports = await journal.replay(target);
+
+			expect(reports).to.have.length(2);
+			expect(spy.args.map((args) => args[1])).to.deep.equal([ 1, 2 ]);
+		});
+
+		it('should replay records at their original timing, optionally sped up', async () => {
+			let journal = emitter.record();
+			let target  = new Emitter().on(event, spy);
+			let clock   = sandbox.useFakeTimers();
+			let replay;
+
+			emitter.emitSync(event, 1);
+			clock.tick(100);
+			emitter.emitSync(event, 2);
+
+			replay = journal.replay(target, { timing: true, speed: 2 });
+
+			sinon.assert.calledOnce(spy);
+
+			clock.tick(49);
+			sinon.assert.calledOnce(spy);
+
+			clock.tick(1);
+			await replay;
+
+			sinon.assert.calledTwice(spy);
+		});
+
+		it('should serialize records to and load them from JSON lines', () => {
+			let journal = emitter.record({
+				serialize:   (details) => details.map((detail) => detail instanceof Date ? { date: detail.toISOString() } : detail),
+				deserialize: (details) => details.map((detail) => detail && detail.date ? new Date(detail.date) : detail)
+			});
+			let date = new Date(0);
+			let loaded, jsonl;
+
+			emitter.emitSync(event, date, 'detail');
+
+			jsonl  = journal.toJSONL();
+			loaded = emitter.record({ deserialize: (details) => details.map((detail) => detail && detail.date ? new Date(detail.date) : detail) });
+
+			journal.detach(emitter);
+			loaded.detach(emitter).load(jsonl);
+
+			expect(jsonl.split('\n')).to.have.length(2);
+			expect(JSON.parse(jsonl).details).to.deep.equal([ { date: date.toISOString() }, 'detail' ]);
+			expect(loaded.records()).to.deep.equal(journal.records());
+		});
+
+		it('should throw for invalid options and input', () => {
+			expect(() => emitter.record({ size: 0 })).to.throw(TypeError);
+			expect(() => emitter.record({ serialize: 'json' })).to.throw(TypeError);
+			expect(() => emitter.record().load('{ "name": "x" }')).to.throw(TypeError);
+			expect(() => emitter.record().load('{')).to.throw(SyntaxError);
+		});
+	});
+
+	(threads ? describe : describe.skip)('bridge()', () => {
+		const events = require('events');
+
+		let channel;
+		let remote;
+		let bridges;
+
+		function tick() {
+			return new Promise((resolve) => setTimeout(resolve, 10));
+		}
+
+		beforeEach(() => {
+			channel = new threads.MessageChannel();
+			remote  = new Emitter();
+			bridges = [];
+		});
+
+		afterEach(() => {
+			bridges.forEach((bridge) => bridge.close());
+
+			channel.port1.close();
+		});
+
+		function connect(local, remoteOptions) {
+			bridges.push(emitter.bridge(channel.port1, local));
+			bridges.push(remote.bridge(channel.port2, remoteOptions));
+
+			return bridges[0];
+		}
+
+		it('should pass events in both directions', async () => {
+			let stub = sandbox.stub();
+
+			connect();
+
+			remote.on(event, spy);
+			emitter.on(event + '.back', stub);
+
+			emitter.emit(event, 'detail', { nested: [ 1 ] });
+			remote.emit(event + '.back');
+
+			await tick();
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledOn(spy, remote);
+			sinon.assert.calledWithExactly(spy, { name: event, context: remote }, 'detail', { nested: [ 1 ] });
+			sinon.assert.calledOnce(stub);
+		});
+
+		it('should not pass events back and forth', async () => {
+			connect();
+
+			emitter.on(event, spy);
+			remote.on(event, spy);
+
+			emitter.emit(event);
+
+			await tick();
+
+			sinon.assert.calledTwice(spy);
+		});
+
+		it('should filter events by allow and deny lists', async () => {
+			connect({ allow: [ event + '.*', /^other$/ ], deny: event + '.secret' });
+
+			remote.on(/./, spy);
+
+			emitter
+				.emit(event + '.public')
+				.emit(event + '.secret')
+				.emit('other')
+				.emit('unknown');
+
+			await tick();
+
+			expect(spy.args.map((args) => args[0].name)).to.deep.equal([ event + '.public', 'other' ]);
+		});
+
+		it('should make details safe for cloning', async () => {
+			connect();
+
+			remote.on(event, spy);
+
+			emitter.emit(event, { callback: () => {}, error: new Error('failed'), date: new Date(0) });
+
+			await tick();
+
+			expect(spy.args[0][1]).to.deep.equal({ error: { name: 'Error', message: 'failed', stack: spy.args[0][1].error.stack }, date: new Date(0) });
+		});
+
+		it('should not let details failing to serialize affect local emits', async () => {
+			let circular = {};
+
+			circular.self = circular;
+
+			connect();
+
+			emitter.on(event, spy);
+			remote.on(event, spy);
+
+			expect(() => emitter.emitSync(event, circular)).to.not.throw();
+
+			await tick();
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWith(spy, { name: event, context: emitter }, circular);
+		});
+
+		it('should pass events the way middleware dispatched them', async () => {
+			connect();
+
+			emitter.use((context, next) => {
+				if(context.name === event + '.skipped') {
+					return;
+				}
+
+				context.name = context.name.replace('.renamed', '');
+
+				return next();
+			});
+
+			remote.on(/./, spy);
+
+			emitter.emit(event + '.skipped');
+			emitter.emit(event + '.renamed', 'detail');
+
+			await tick();
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWith(spy, { name: event, context: remote }, 'detail');
+		});
+
+		it('should report results and cancelation of remote emits', async () => {
+			let bridge = connect();
+
+			remote
+				.setErrorPolicy('continue')
+				.setErrorHandler(() => {})
+				.on(event, () => 'result')
+				.on(event, () => { throw new Error('failed'); })
+				.on(event, (event) => event.cancel())
+				.on(event, spy);
+
+			let summary = await bridge.emitAsync(event, 'detail');
+
+			expect(summary).to.include({ isCanceled: true, defaultPrevented: false, executed: 3 });
+			expect(summary.results).to.deep.equal([ 'result', undefined ]);
+			expect(summary.errors[0]).to.be.an('error').and.to.have.property('message', 'failed');
+
+			sinon.assert.notCalled(spy);
+		});
+
+		it('should reject remote emits failing on the other side', async () => {
+			let bridge = connect(), caught;
+
+			remote.on(event, () => { throw new Error('unhandled'); });
+
+			try {
+				await bridge.emitAsync(event);
+			} catch(error) {
+				caught = error;
+			}
+
+			expect(caught).to.be.an('error').and.to.have.property('message', 'unhandled');
+		});
+
+		it('should reject remote emits whose summary fails to serialize', async () => {
+			let bridge = connect(), circular = {}, caught;
+
+			circular.self = circular;
+
+			remote.on(event, () => circular);
+
+			try {
+				await bridge.emitAsync(event);
+			} catch(error) {
+				caught = error;
+			}
+
+			expect(caught).to.be.an('error').and.to.have.property('message', 'Details must not contain circular references');
+		});
+
+		it('should reject remote emits without a reply within the timeout', async () => {
+			let bridge = emitter.bridge(channel.port1, { timeout: 20 }), caught;
+
+			bridges.push(bridge);
+
+			try {
+				await bridge.emitAsync(event);
+			} catch(error) {
+				caught = error;
+			}
+
+			expect(caught).to.be.an('error').and.to.have.property('message', 'Timed out after 20ms');
+			expect(caught.name).to.equal('TimeoutError');
+		});
+
+		it('should resolve remote emits of denied events with null', async () => {
+			let bridge = connect(undefined, { deny: event });
+
+			expect(await bridge.emitAsync(event)).to.equal(null);
+		});
+
+		it('should connect via send() like a ChildProcess', async () => {
+			let port1 = new events.EventEmitter(), port2 = new events.EventEmitter();
+
+			port1.send = (message) => setImmediate(() => port2.emit('message', JSON.parse(JSON.stringify(message))));
+			port2.send = (message) => setImmediate(() => port1.emit('message', JSON.parse(JSON.stringify(message))));
+
+			bridges.push(emitter.bridge(port1), remote.bridge(port2));
+
+			remote.on(event, () => 'result');
+
+			expect((await bridges[0].emitAsync(event)).results).to.deep.equal([ 'result' ]);
+
+			port1.emit('disconnect');
+
+			expect(bridges[0].isClosed).to.equal(true);
+		});
+
+		it('should reject pending remote emits once closed', async () => {
+			let bridge = connect(), caught, pending;
+
+			remote.on(event, () => new Promise(() => {}));
+
+			pending = bridge.emitAsync(event);
+
+			bridge.close();
+
+			try {
+				await pending;
+			} catch(error) {
+				caught = error;
+			}
+
+			expect(caught).to.be.an('error');
+			expect(bridge.isClosed).to.equal(true);
+		});
+
+		it('should bridge events to a worker thread', async function() {
+			let code   = 'const Emitter = require(' + JSON.stringify(require.resolve('../index.js')) + ');' +
+			             'const threads = require("worker_threads");' +
+			             'const emitter = new Emitter();' +
+			             'emitter.bridge(threads.parentPort);' +
+			             'emitter.on("ping", (event, value) => { emitter.emit("pong", value * 2); return value + 1; });';
+			let worker = new threads.Worker(code, { eval: true });
+			let bridge = emitter.bridge(worker), pong;
+
+			this.timeout(10000);
+
+			pong = emitter.waitFor('pong', { timeout: 5000 });
+
+			let summary = await bridge.emitAsync('ping', 21);
+
+			expect(summary.results).to.deep.equal([ 22 ]);
+			expect((await pong).details).to.deep.equal([ 42 ]);
+
+			bridge.close();
+
+			await worker.terminate();
+		});
+
+		it('should throw for invalid ports and options', () => {
+			expect(() => emitter.bridge({})).to.throw(TypeError);
+			expect(() => emitter.bridge(channel.port1, { allow: 1 })).to.throw(TypeError);
+			expect(() => emitter.bridge(channel.port1, { unknown: true })).to.throw(TypeError);
+			expect(() => emitter.bridge(channel.port1, { timeout: 0 })).to.throw(TypeError);
+		});
+	});
+
+	describe('serve() and connect()', () => {
+		const net  = require('net');
+		const os   = require('os');
+		const path = require('path');
+
+		let socketPath;
+		let remote;
+		let servers;
+		let clients;
+		let counter = 0;
+
+		function wait(check) {
+			return new Promise((resolve, reject) => {
+				let start = Date.now();
+
+				(function poll() {
+					if(check()) {
+						return resolve();
+					}
+
+					if(Date.now() - start > 2000) {
+						return reject(new Error('Condition not met in time'));
+					}
+
+					setTimeout(poll, 5);
+				}());
+			});
+		}
+
+		function serve(options) {
+			let server = remote.serve(options);
+
+			servers.push(server);
+
+			return server.listen(socketPath);
+		}
+
+		function connect(options) {
+			let client = emitter.connect(Object.assign({ path: socketPath, delay: 10 }, options));
+
+			clients.push(client);
+
+			return client;
+		}
+
+		function raw() {
+			return new Promise((resolve) => {
+				let socket = net.connect(socketPath, () => resolve(socket));
+			});
+		}
+
+		beforeEach(() => {
+			socketPath = path.join(os.tmpdir(), 'flexee-' + process.pid + '-' + (counter += 1) + '.sock');
+			remote     = new Emitter();
+			servers    = [];
+			clients    = [];
+		});
+
+		afterEach(async () => {
+			clients.forEach((client) => client.close());
+
+			for(let server of servers) {
+				await server.close();
+			}
+		});
+
+		it('should deliver subscribed events to the client', async () => {
+			let client, stub = sandbox.stub();
+
+			await serve();
+
+			client = connect().subscribe(event).subscribe(/^pattern\./);
+
+			emitter.on(event, spy);
+			emitter.on(/^pattern\./, stub);
+
+			await client.ready();
+			await wait(() => remote.listener(event).length && remote.listener('pattern.test').length);
+
+			remote.emit(event, 'detail', { nested: [ 1 ] });
+			remote.emit('pattern.test');
+			remote.emit('unsubscribed');
+
+			await wait(() => spy.called && stub.called);
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWithExactly(spy, { name: event, context: emitter }, 'detail', { nested: [ 1 ] });
+			sinon.assert.calledOnce(stub);
+			sinon.assert.calledWith(stub, { name: 'pattern.test', context: emitter });
+		});
+
+		it('should deliver events matched by overlapping subscriptions once', async () => {
+			let client;
+
+			await serve();
+
+			client = connect().subscribe(event).subscribe(new RegExp('^' + event));
+
+			emitter.on(event, spy);
+
+			await client.ready();
+			await wait(() => remote.listener(event).length === 2);
+
+			remote.emit(event, 'first');
+			remote.emit(event, 'second');
+
+			await wait(() => spy.calledTwice);
+			await new Promise((resolve) => setTimeout(resolve, 20));
+
+			sinon.assert.calledTwice(spy);
+			sinon.assert.calledWithExactly(spy.firstCall, { name: event, context: emitter }, 'first');
+			sinon.assert.calledWithExactly(spy.secondCall, { name: event, context: emitter }, 'second');
+		});
+
+		it('should drop events with details that cannot be serialized', async () => {
+			let client, circular = {}, local = sandbox.spy();
+
+			circular.self = circular;
+
+			await serve();
+
+			client = connect().subscribe(event);
+
+			emitter.on(event, spy);
+			remote.on(event, local);
+
+			await client.ready();
+			await wait(() => remote.listener(event).length === 2);
+
+			expect(() => remote.emit(event, circular)).to.not.throw();
+
+			remote.emit(event, 'serializable');
+
+			await wait(() => spy.called);
+
+			sinon.assert.calledTwice(local);
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWithExactly(spy, { name: event, context: emitter }, 'serializable');
+		});
+
+		it('should publish events emitted by the client', async () => {
+			let client;
+
+			await serve();
+
+			client = connect();
+
+			remote.on(event, spy);
+
+			await client.ready();
+
+			client.emit(event, 'detail', new Error('failed'));
+
+			await wait(() => spy.called);
+
+			sinon.assert.calledWith(spy, { name: event, context: remote }, 'detail', sinon.match({ name: 'Error', message: 'failed' }));
+		});
+
+		it('should remove subscriptions on unsubscribe and disconnect', async () => {
+			let client;
+
+			await serve();
+
+			client = connect().subscribe(event);
+
+			await client.ready();
+			await wait(() => remote.listener(event).length === 1);
+
+			client.unsubscribe(event);
+
+			await wait(() => remote.listener(event).length === 0);
+
+			client.subscribe(event);
+
+			await wait(() => remote.listener(event).length === 1);
+
+			client.close();
+
+			await wait(() => remote.listener(event).length === 0);
+
+			expect(client.isConnected).to.equal(false);
+		});
+
+		it('should reconnect, resubscribe and flush queued emits', async () => {
+			let client;
+
+			await serve();
+
+			client = connect().subscribe(event);
+
+			emitter.on(event, spy);
+			remote.on(event + '.queued', spy);
+
+			await client.ready();
+			await servers.shift().close();
+			await wait(() => !client.isConnected);
+
+			client.emit(event + '.queued', 'queued');
+
+			await serve();
+			await client.ready();
+			await wait(() => remote.listener(event).length === 1 && spy.calledOnce);
+
+			sinon.assert.calledWith(spy, { name: event + '.queued', context: remote }, 'queued');
+
+			remote.emit(event, 'again');
+
+			await wait(() => spy.calledTwice);
+
+			sinon.assert.calledWith(spy, { name: event, context: emitter }, 'again');
+		});
+
+		it('should reject ready() if the connection fails without reconnect', async () => {
+			let client = connect({ reconnect: false });
+
+			try {
+				await client.ready();
+				throw new Error('ready() should have been rejected');
+			} catch(error) {
+				expect(error.code).to.equal('ENOENT');
+			}
+
+			expect(() => client.emit(event)).to.throw(Error, 'Client has been closed');
+		});
+
+		it('should disconnect clients exceeding the backpressure limit', async () => {
+			let server, socket, payload = 'x'.repeat(65536), i = 0;
+
+			server = await serve({ maxPending: 2, overflow: 'disconnect' });
+			socket = await raw();
+
+			socket.pause();
+			socket.write(JSON.stringify({ type: 'subscribe', id: 1, identifier: event }) + '\n');
+
+			await wait(() => remote.listener(event).length === 1);
+
+			for(; i < 200 && server.connections; i++) {
+				remote.emitSync(event, payload);
+
+				await new Promise((resolve) => setImmediate(resolve));
+			}
+
+			expect(server.connections).to.equal(0);
+			expect(remote.listener(event)).to.have.lengthOf(0);
+
+			socket.destroy();
+		});
+
+		it('should drop messages for clients exceeding the backpressure limit', async () => {
+			let server, socket, payload = 'x'.repeat(65536), received = 0, i = 0;
+
+			server = await serve({ maxPending: 2 });
+			socket = await raw();
+
+			socket.pause();
+			socket.write(JSON.stringify({ type: 'subscribe', id: 1, identifier: event }) + '\n');
+
+			await wait(() => remote.listener(event).length === 1);
+
+			for(; i < 100; i++) {
+				remote.emitSync(event, payload);
+			}
+
+			socket.setEncoding('utf8');
+			socket.on('data', (chunk) => {
+				received += chunk.split('\n').length - 1;
+			});
+			socket.resume();
+
+			remote.emitSync(event, 'last');
+
+			await new Promise((resolve) => setTimeout(resolve, 100));
+
+			expect(server.connections).to.equal(1);
+			expect(received).to.be.above(0).and.below(101);
+
+			socket.destroy();
+		});
+
+		it('should disconnect clients sending malformed messages', async () => {
+			let server, socket;
+
+			server = await serve();
+			socket = await raw();
+
+			await wait(() => server.connections === 1);
+
+			socket.write('{ not json\n');
+
+			await wait(() => server.connections === 0);
+
+			socket = await raw();
+
+			socket.write(JSON.stringify({ type: 'unknown' }) + '\n');
+
+			await wait(() => server.connections === 0);
+		});
+
+		it('should validate options', () => {
+			expect(() => remote.serve({ overflow: 'block' })).to.throw(TypeError, 'Option "overflow" must be one of "drop", "disconnect"');
+			expect(() => remote.serve({ unknown: true })).to.throw(TypeError);
+			expect(() => emitter.connect({})).to.throw(TypeError, 'Either option "port" or option "path" must be specified');
+			expect(() => emitter.connect({ port: 1, path: socketPath })).to.throw(TypeError, 'Either option "port" or option "path" must be specified');
+			expect(() => emitter.connect({ port: 0 })).to.throw(TypeError, 'Option "port" must be a valid port number');
+		});
+	});
+
+	describe('dispatch strategies', () => {
+		let order;
+
+		function delay(value, timeout) {
+			return function() {
+				return new Promise((resolve) => {
+					setTimeout(() => {
+						order.push(value);
+
+						resolve(value);
+					}, timeout);
+				});
+			};
+		}
+
+		beforeEach(() => {
+			order = [];
+		});
+
+		afterEach(() => {
+			Emitter.setStrategy(event, null);
+		});
+
+		it('should dispatch sequentially by default', async () => {
+			await emitter
+				.on(event, delay('slow', 20))
+				.on(event, delay('fast', 0))
+				.emitAsync(event);
+
+			expect(order).to.deep.equal([ 'slow', 'fast' ]);
+		});
+
+		it('should dispatch in parallel per emit', async () => {
+			await emitter
+				.on(event, delay('slow', 20))
+				.on(event, delay('fast', 0))
+				.emitAsync({ name: event, strategy: 'parallel' });
+
+			expect(order).to.deep.equal([ 'fast', 'slow' ]);
+		});
+
+		it('should dispatch in parallel per event name', async () => {
+			await emitter
+				.setStrategy(event, 'parallel')
+				.on(event, delay('slow', 20))
+				.on(event, delay('fast', 0))
+				.emitAsync(event);
+
+			expect(order).to.deep.equal([ 'fast', 'slow' ]);
+		});
+
+		it('should respect global strategies per event name', async () => {
+			Emitter.setStrategy(event, 'parallel');
+
+			await emitter
+				.on(event, delay('slow', 20))
+				.on(event, delay('fast', 0))
+				.emitAsync(event);
+
+			expect(order).to.deep.equal([ 'fast', 'slow' ]);
+		});
+
+		it('should not start further listeners in parallel mode once canceled', async () => {
+			function cancel(event) {
+				event.cancel();
+			}
+
+			let report = await emitter
+				.on(event, delay('slow', 20))
+				.on(event, cancel)
+				.on(event, spy)
+				.emitAsync({ name: event, strategy: 'parallel' });
+
+			expect(order).to.deep.equal([ 'slow' ]);
+			expect(report.isCanceled).to.equal(true);
+			expect(report.skipped).to.deep.equal([ spy ]);
+
+			sinon.assert.notCalled(spy);
+		});
+
+		it('should route errors through the error pipeline in parallel mode', async () => {
+			let error = new Error('listener failed');
+
+			let report = await emitter
+				.on('error', spy)
+				.on(event, () => { throw error; })
+				.on(event, delay('fast', 0))
+				.emitAsync({ name: event, strategy: 'parallel' });
+
+			expect(order).to.deep.equal([ 'fast' ]);
+			expect(report.errors).to.deep.equal([ error ]);
+
+			sinon.assert.calledOnce(spy);
+		});
+
+		it('should wait for all listeners before rejecting in parallel mode', async () => {
+			let error = new Error('listener failed');
+
+			try {
+				await emitter
+					.on(event, () => Promise.reject(error))
+					.on(event, delay('slow', 20))
+					.emitAsync({ name: event, strategy: 'parallel' });
+			} catch(exception) {
+				expect(exception).to.equal(error);
+				expect(order).to.deep.equal([ 'slow' ]);
+
+				return;
+			}
+
+			throw new Error('emitAsync should have been rejected');
+		});
+
+		it('should collect all outcomes in settled mode', async () => {
+			let error = new Error('listener failed');
+
+			let report = await emitter
+				.on(event, delay('slow', 20))
+				.on(event, () => Promise.reject(error))
+				.on(event, delay('fast', 0))
+				.emitAsync({ name: event, strategy: 'settled' });
+
+			expect(order).to.deep.equal([ 'fast', 'slow' ]);
+			expect(report.errors).to.deep.equal([ error ]);
+			expect(report.outcomes).to.deep.equal([
+				{ status: 'fulfilled', value: 'slow' },
+				{ status: 'rejected', reason: error },
+				{ status: 'fulfilled', value: 'fast' }
+			]);
+		});
+	});
+
+	describe('sticky events', () => {
+		function tick() {
+			return new Promise((resolve) => setTimeout(resolve, 0));
+		}
+
+		afterEach(() => {
+			Emitter.clearRetained();
+			Emitter.setReplay(event, null);
+		});
+
+		it('should replay a sticky event to late subscribers', async () => {
+			await emitter.emitAsync({ name: event, sticky: true }, 'first');
+			await emitter.emitAsync({ name: event, sticky: true }, 'second');
+
+			emitter.on(event, spy);
+
+			sinon.assert.notCalled(spy);
+
+			await tick();
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledOn(spy, emitter);
+			sinon.assert.calledWithExactly(spy, { name: event, context: emitter }, 'second');
+		});
+
+		it('should replay the last events of a replay buffer in order', async () => {
+			emitter.setReplay(event, 2);
+
+			emitter.emitSync(event, 1);
+			emitter.emitSync(event, 2);
+			emitter.emitSync(event, 3);
+
+			emitter.on(event, spy);
+
+			await tick();
+
+			expect(spy.args.map((args) => args[1])).to.deep.equal([ 2, 3 ]);
+		});
+
+		it('should replay to expression and pattern listeners', async () => {
+			let expression = sandbox.spy();
+			let pattern    = sandbox.spy();
+
+			emitter.emitSync({ name: event + '.loaded', sticky: true });
+			emitter.emitSync({ name: event + '.connected', sticky: true });
+
+			emitter
+				.on(new RegExp('^' + event + '\\.'), expression)
+				.on(event + '.*', pattern);
+
+			await tick();
+
+			expect(expression.args.map((args) => args[0].name)).to.deep.equal([ event + '.loaded', event + '.connected' ]);
+			expect(pattern.args.map((args) => args[0].name)).to.deep.equal([ event + '.loaded', event + '.connected' ]);
+		});
+
+		it('should replay retained events of all instances to broadcast listeners', async () => {
+			let other = new Emitter();
+
+			Emitter.setReplay(event, 2);
+
+			emitter.emitSync({ name: event, sticky: true }, 'emitter');
+			other.emitSync({ name: event, sticky: true }, 'other');
+
+			Emitter.on(event, spy);
+
+			await tick();
+
+			Emitter.off(event, spy);
+
+			sinon.assert.calledTwice(spy);
+			sinon.assert.calledOn(spy.firstCall, emitter);
+			sinon.assert.calledOn(spy.secondCall, other);
+		});
+
+		it('should keep the last events of all instances per class', () => {
+			let other = new Emitter();
+
+			Emitter.setReplay(event, 3);
+
+			emitter.emitSync(event, 1);
+			other.emitSync(event, 2);
+			emitter.emitSync(event, 3);
+			other.emitSync(event, 4);
+
+			expect(Emitter.retained(event).map((record) => record.details[0])).to.deep.equal([ 2, 3, 4 ]);
+			expect(emitter.retained(event).map((record) => record.details[0])).to.deep.equal([ 1, 3 ]);
+
+			Emitter.setReplay(event, 1);
+
+			expect(Emitter.retained(event).map((record) => record.details[0])).to.deep.equal([ 4 ]);
+
+			other.clearRetained();
+
+			expect(Emitter.retained(event)).to.deep.equal([]);
+			expect(emitter.retained(event)).to.have.length(2);
+		});
+
+		it('should size the buffer of each scope by its own replay setting', () => {
+			let other = new Emitter();
+
+			Emitter.setReplay(event, 3);
+			emitter.setReplay(event, 1);
+
+			emitter.emitSync(event, 1);
+			emitter.emitSync(event, 2);
+			emitter.emitSync(event, 3);
+
+			expect(Emitter.retained(event).map((record) => record.details[0])).to.deep.equal([ 1, 2, 3 ]);
+			expect(emitter.retained(event).map((record) => record.details[0])).to.deep.equal([ 3 ]);
+
+			other.emitSync({ name: event, sticky: true }, 4);
+
+			expect(Emitter.retained(event).map((record) => record.details[0])).to.deep.equal([ 2, 3, 4 ]);
+			expect(other.retained(event).map((record) => record.details[0])).to.deep.equal([ 4 ]);
+		});
+
+		it('should replay only once to once listeners', async () => {
+			emitter.setReplay(event, 3);
+
+			emitter.emitSync(event, 1);
+			emitter.emitSync(event, 2);
+
+			emitter.once(event, spy);
+
+			await tick();
+
+			sinon.assert.calledOnce(spy);
+		});
+
+		it('should resolve waitFor() with a retained event', async () => {
+			emitter.emitSync({ name: event, sticky: true }, 'detail');
+
+			let result = await emitter.waitFor(event);
+
+			expect(result.details).to.deep.equal([ 'detail' ]);
+		});
+
+		it('should inspect and clear retained events', async () => {
+			emitter.emitSync({ name: event, sticky: true }, 'detail');
+			emitter.emitSync({ name: event + '.other', sticky: true });
+
+			expect(emitter.retained(event)).to.deep.equal([ { emitter: emitter, name: event, details: [ 'detail' ] } ]);
+			expect(emitter.retained()).to.have.length(2);
+			expect(Emitter.retained(event)).to.have.length(1);
+
+			emitter.clearRetained(event);
+
+			expect(emitter.retained()).to.have.length(1);
+
+			Emitter.clearRetained();
+
+			expect(emitter.retained()).to.deep.equal([]);
+
+			emitter.on(event, spy);
+
+			await tick();
+
+			sinon.assert.notCalled(spy);
+		});
+
+		it('should throw for invalid replay sizes', () => {
+			expect(() => emitter.setReplay(event, 0)).to.throw(TypeError);
+			expect(() => emitter.setReplay(1, 1)).to.throw(TypeError);
+		});
+	});
+
+	describe('middleware', () => {
+		it('should pass a context and next to middleware', async () => {
+			let middleware = sandbox.spy((context, next) => next());
+
+			emitter
+				.use(middleware)
+				.on(event, spy);
+
+			let report = await emitter.emitAsync(event, 'detail');
+
+			expect(report.executed).to.deep.equal([ spy ]);
+			expect(middleware.args[0][0]).to.deep.equal({ name: event, details: [ 'detail' ], emitter: emitter, options: {}, report: report });
+
+			sinon.assert.calledOnce(middleware);
+			sinon.assert.calledOn(middleware, emitter);
+		});
+
+		it('should allow middleware to transform an emit', async () => {
+			await emitter
+				.use((context, next) => {
+					context.name    = event;
+					context.details = context.details.concat('enriched');
+					context.options = { strategy: 'parallel' };
+
+					return next();
+				})
+				.on(event, spy)
+				.emitAsync(event + '.legacy', 'detail');
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWithExactly(spy, { name: event, context: emitter }, 'detail', 'enriched');
+		});
+
+		it('should short-circuit an emit if next is not called', async () => {
+			emitter
+				.use(() => {})
+				.on(event, spy);
+
+			expect(await emitter.emitAsync(event)).to.equal(null);
+			expect(await emitter.emitCollect(event)).to.deep.equal([]);
+			expect(await emitter.emitReduce(event, 'initial')).to.equal('initial');
+			expect(emitter.emitSync(event)).to.deep.equal([]);
+
+			sinon.assert.notCalled(spy);
+		});
+
+		it('should wait for all listeners if middleware does not return next()', async () => {
+			let report;
+
+			emitter
+				.use((context, next) => {
+					next();
+				})
+				.on(event, () => new Promise((resolve) => setTimeout(() => resolve('slow'), 10)))
+				.on(event, spy);
+
+			report = await emitter.emitAsync(event);
+
+			expect(report.results).to.deep.equal([ 'slow', undefined ]);
+			expect(await emitter.emitCollect(event)).to.deep.equal([ 'slow', undefined ]);
+
+			sinon.assert.calledTwice(spy);
+		});
+
+		it('should wait for all listeners if asynchronous middleware does not await next()', async () => {
+			let report;
+
+			emitter
+				.use(async (context, next) => {
+					next();
+				})
+				.on(event, () => new Promise((resolve) => setTimeout(() => resolve('slow'), 10)));
+
+			report = await emitter.emitAsync(event);
+
+			expect(report.results).to.deep.equal([ 'slow' ]);
+		});
+
+		it('should reject with errors of listeners if middleware does not return next()', async () => {
+			let error = new Error('failed'), caught;
+
+			emitter
+				.use((context, next) => {
+					next();
+				})
+				.on(event, () => Promise.reject(error));
+
+			try {
+				await emitter.emitAsync(event);
+			} catch(exception) {
+				caught = exception;
+			}
+
+			expect(caught).to.equal(error);
+		});
+
+		it('should allow middleware to observe the result', async () => {
+			let result;
+
+			await emitter
+				.use(async (context, next) => {
+					result = await next();
+				})
+				.on(event, () => 'value')
+				.emitAsync(event);
+
+			expect(result.results).to.deep.equal([ 'value' ]);
+		});
+
+		it('should run global middleware first', async () => {
+			let order = [];
+
+			function global(context, next) {
+				order.push('global');
+
+				return next();
+			}
+
+			Emitter.use(global);
+
+			await emitter
+				.use((context, next) => {
+					order.push('local');
+
+					return next();
+				})
+				.emitAsync(event);
+
+			Emitter.unuse(global);
+
+			await emitter.emitAsync(event);
+
+			expect(order).to.deep.equal([ 'global', 'local', 'local' ]);
+		});
+
+		it('should remove middleware', async () => {
+			let middleware = sandbox.spy((context, next) => next());
+
+			await emitter
+				.use(middleware)
+				.unuse(middleware)
+				.emitAsync(event);
+
+			sinon.assert.notCalled(middleware);
+		});
+
+		it('should reject if next is called more than once', async () => {
+			let caught;
+
+			emitter.use(async (context, next) => {
+				await next();
+				await next();
+			});
+
+			try {
+				await emitter.emitAsync(event);
+			} catch(error) {
+				caught = error;
+			}
+
+			expect(caught).to.be.an('error');
+		});
+
+		it('should apply middleware synchronously', () => {
+			emitter
+				.use((context, next) => {
+					context.details = [ 'sync' ];
+
+					return next();
+				})
+				.on(event, spy);
+
+			emitter.emitSync(event);
+
+			sinon.assert.calledWithExactly(spy, { name: event, context: emitter }, 'sync');
+		});
+
+		it('should throw for asynchronous middleware when emitting synchronously', () => {
+			emitter.use(async (context, next) => next());
+
+			expect(() => emitter.emitSync(event)).to.throw(TypeError);
+		});
+
+		it('should throw for invalid middleware', () => {
+			expect(() => emitter.use('middleware')).to.throw(TypeError);
+		});
+	});
+
+	describe('default actions', () => {
+		it('should run the default action after all listeners', async () => {
+			let order = [];
+
+			let report = await emitter
+				.on(event, () => order.push('listener'))
+				.emitAsync({ name: event, defaultAction: () => order.push('default') });
+
+			expect(order).to.deep.equal([ 'listener', 'default' ]);
+			expect(report.defaultPrevented).to.equal(false);
+			expect(report.defaultExecuted).to.equal(true);
+		});
+
+		it('should pass the event and details to the default action', async () => {
+			await emitter.emitAsync({ name: event, defaultAction: spy }, 'detail');
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledOn(spy, emitter);
+			sinon.assert.calledWithExactly(spy, { name: event, context: emitter }, 'detail');
+		});
+
+		it('should not run the default action once prevented', async () => {
+			let report = await emitter
+				.on(event, (event) => event.preventDefault())
+				.on(event, spy)
+				.emitAsync({ name: event, defaultAction: () => { throw new Error('should not run'); } });
+
+			expect(report.event.defaultPrevented).to.equal(true);
+			expect(report.defaultPrevented).to.equal(true);
+			expect(report.defaultExecuted).to.equal(false);
+
+			sinon.assert.calledOnce(spy);
+		});
+
+		it('should run the default action of canceled events', async () => {
+			let report = await emitter
+				.on(event, (event) => event.cancel())
+				.emitAsync({ name: event, defaultAction: spy });
+
+			expect(report.isCanceled).to.equal(true);
+			expect(report.defaultExecuted).to.equal(true);
+
+			sinon.assert.calledOnce(spy);
+		});
+
+		it('should allow ancestors to prevent the default action', async () => {
+			let parent = new Emitter().attach(emitter);
+
+			parent.on(event, (event) => event.preventDefault());
+
+			let report = await emitter.emitAsync({ name: event, defaultAction: spy });
+
+			expect(report.defaultExecuted).to.equal(false);
+
+			sinon.assert.notCalled(spy);
+		});
+
+		it('should route errors of the default action through the error pipeline', async () => {
+			let error = new Error('default failed');
+
+			let report = await emitter
+				.on('error', spy)
+				.emitAsync({ name: event, defaultAction: () => { throw error; } });
+
+			expect(report.errors).to.deep.equal([ error ]);
+
+			sinon.assert.calledOnce(spy);
+		});
+
+		it('should run the default action synchronously', () => {
+			emitter.emitSync({ name: event, defaultAction: spy });
+
+			sinon.assert.calledOnce(spy);
+
+			emitter
+				.on(event, (event) => event.preventDefault())
+				.emitSync({ name: event, defaultAction: spy });
+
+			sinon.assert.calledOnce(spy);
+		});
+
+		it('should throw for invalid default actions', async () => {
+			let caught;
+
+			try {
+				await emitter.emitAsync({ name: event, defaultAction: 'save' });
+			} catch(error) {
+				caught = error;
+			}
+
+			expect(caught).to.be.an.instanceof(TypeError);
+			expect(() => emitter.emitSync({ name: event, defaultAction: 'save' })).to.throw(TypeError);
+		});
+	});
+
+	describe('broadcast scopes', () => {
+		class Foo extends Emitter {}
+		class Bar extends Foo {}
+		class Baz extends Emitter {}
+
+		afterEach(() => {
+			Foo.off(event);
+			Foo.setStrategy(event, null);
+			Foo.setErrorHandler(null);
+		});
+
+		it('should broadcast to instances of a subclass', async () => {
+			Foo.on(event, spy);
+
+			let foo = new Foo();
+
+			await foo.emitAsync(event);
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledOn(spy, foo);
+		});
+
+		it('should broadcast to instances of further subclasses', async () => {
+			Foo.on(event, spy);
+
+			await new Bar().emitAsync(event);
+
+			sinon.assert.calledOnce(spy);
+		});
+
+		it('should not broadcast to instances of other classes', async () => {
+			Foo.on(event, spy);
+
+			await new Baz().emitAsync(event);
+			await emitter.emitAsync(event);
+
+			sinon.assert.notCalled(spy);
+		});
+
+		it('should still broadcast to subclass instances from Emitter', async () => {
+			Emitter.on(event, spy);
+
+			await new Bar().emitAsync(event);
+
+			Emitter.off(event, spy);
+
+			sinon.assert.calledOnce(spy);
+		});
+
+		it('should order listeners of all scopes by priority', async () => {
+			let order = [];
+
+			Foo.on(event, () => order.push('foo'));
+			Bar.on(event, () => order.push('bar'), { priority: 1 });
+
+			await new Bar().on(event, () => order.push('bar instance')).emitAsync(event);
+
+			Bar.off(event);
+
+			expect(order).to.deep.equal([ 'bar', 'foo', 'bar instance' ]);
+		});
+
+		it('should inherit settings along the class hierarchy', async () => {
+			let handler = sandbox.spy();
+
+			Foo
+				.setStrategy(event, 'parallel')
+				.setErrorHandler(handler)
+				.on(event, () => { throw new Error('listener failed'); });
+
+			let report = await new Bar().emitAsync(event);
+
+			expect(report.errors).to.have.length(1);
+
+			sinon.assert.calledOnce(handler);
+		});
+	});
+
+	describe('bubbling', () => {
+		let parent;
+		let root;
+
+		beforeEach(() => {
+			parent = new Emitter();
+			root   = new Emitter();
+
+			root.attach(parent);
+			parent.attach(emitter);
+		});
+
+		it('should bubble events up to all ancestors', async () => {
+			let order = [];
+
+			root.on(event, () => order.push('root'));
+			parent.on(event, () => order.push('parent'));
+			emitter.on(event, () => order.push('emitter'));
+
+			let report = await emitter.emitAsync(event);
+
+			expect(order).to.deep.equal([ 'emitter', 'parent', 'root' ]);
+			expect(report.executed).to.have.length(3);
+		});
+
+		it('should distinguish target and currentTarget', async () => {
+			let targets = [];
+
+			function collect(event) {
+				targets.push([ event.target, event.currentTarget, event.phase, this ]);
+			}
+
+			emitter.on(event, collect);
+			parent.on(event, collect);
+
+			await emitter.emitAsync(event);
+
+			expect(targets).to.deep.equal([
+				[ emitter, emitter, 'target', emitter ],
+				[ emitter, parent, 'bubble', parent ]
+			]);
+		});
+
+		it('should only stop listeners of the current emitter on cancel()', async () => {
+			emitter
+				.on(event, (event) => event.cancel())
+				.on(event, spy);
+
+			parent.on(event, spy);
+
+			let report = await emitter.emitAsync(event);
+
+			expect(report.isCanceled).to.equal(true);
+			expect(report.skipped).to.deep.equal([ spy ]);
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledOn(spy, parent);
+		});
+
+		it('should stop further emitters on stopPropagation()', async () => {
+			let stub = sandbox.stub();
+
+			emitter
+				.on(event, (event) => event.stopPropagation())
+				.on(event, stub);
+
+			parent.on(event, spy);
+
+			let report = await emitter.emitAsync(event);
+
+			expect(report.event.isPropagationStopped).to.equal(true);
+			expect(report.skipped).to.deep.equal([ spy ]);
+
+			sinon.assert.calledOnce(stub);
+			sinon.assert.notCalled(spy);
+		});
+
+		it('should run capturing listeners of ancestors before the target', async () => {
+			let order = [];
+
+			root.on(event, () => order.push('root capture'), { capture: true });
+			root.on(event, () => order.push('root bubble'));
+			parent.on(event, () => order.push('parent capture'), { capture: true });
+			emitter.on(event, () => order.push('emitter'));
+
+			await emitter.emitAsync(event);
+
+			expect(order).to.deep.equal([ 'root capture', 'parent capture', 'emitter', 'root bubble' ]);
+		});
+
+		it('should not bubble events emitted with bubbles set to false', async () => {
+			parent.on(event, spy);
+
+			await emitter.emitAsync({ name: event, bubbles: false });
+
+			sinon.assert.notCalled(spy);
+		});
+
+		it('should only run broadcast listeners at the target', async () => {
+			Emitter.on(event, spy);
+
+			await emitter.emitAsync(event);
+
+			Emitter.off(event, spy);
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledOn(spy, emitter);
+		});
+
+		it('should bubble synchronous events', () => {
+			emitter.on(event, () => 'emitter');
+			parent.on(event, () => 'parent');
+
+			expect(emitter.emitSync(event)).to.deep.equal([ 'emitter', 'parent' ]);
+		});
+
+		it('should stop bubbling once detached', async () => {
+			parent
+				.on(event, spy)
+				.detach(emitter);
+
+			await emitter.emitAsync(event);
+
+			sinon.assert.notCalled(spy);
+		});
+
+		it('should reject cyclic hierarchies', () => {
+			expect(() => emitter.attach(root)).to.throw(Error);
+			expect(() => emitter.setParent(emitter)).to.throw(Error);
+		});
+
+		it('should reject invalid parents', () => {
+			expect(() => emitter.setParent({})).to.throw(TypeError);
+			expect(() => emitter.attach('child')).to.throw(TypeError);
+		});
+	});
+
+	describe('on()', () => {
+		it('should call an event listener repeatedly', () => {
+			emitter
+				.on(event, spy)
+				.emit(event)
+				.emit(event);
+
+			return new Promise((resolve, reject) => {
+				setTimeout(() => {
+					try {
+						sinon.assert.called(spy);
+						sinon.assert.calledOn(spy, emitter);
+						sinon.assert.callCount(spy, 2);
+						sinon.assert.alwaysCalledWithExactly(spy, { name: event, context: emitter });
+
+						resolve();
+					} catch(error) {
+						reject(error);
+					}
+				}, 10);
+			});
+		});
+
+		it('should call an expression listener repeatedly', () => {
+			let regex = new RegExp('^' + event + '/(?:success|failure)');
+
+			function testEvent(event) {
+				return regex.test(event.name) && event.context instanceof Emitter;
+			}
+
+			emitter
+				.on(regex, spy)
+				.emit(event + '/none')
+				.emit(event + '/success')
+				.emit(event + '/failure')
+				.emit(event)
+				.emit('none');
+
+			return new Promise((resolve, reject) => {
+				setTimeout(() => {
+					try {
+						sinon.assert.called(spy);
+						sinon.assert.calledOn(spy, emitter);
+						sinon.assert.callCount(spy, 2);
+						sinon.assert.alwaysCalledWithMatch(spy, testEvent);
+
+						resolve();
+					} catch(error) {
+						reject(error);
+					}
+				}, 10);
+			});
+		});
+
+		it('should call an array of listeners repeatedly', () => {
+			emitter
+				.on([ event, event ], spy)
+				.emit(event)
+				.emit(event);
+
+			return new Promise((resolve, reject) => {
+				setTimeout(() => {
+					try {
+						sinon.assert.called(spy);
+						sinon.assert.calledOn(spy, emitter);
+						sinon.assert.callCount(spy, 4);
+						sinon.assert.alwaysCalledWithExactly(spy, { name: event, context: emitter });
+
+						resolve();
+					} catch(error) {
+						reject(error);
+					}
+				}, 10);
+			});
+		});
+
+		it('should not listen to broadcast events', () => {
+			emitter
+				.on(event, spy);
+
+			(new Emitter()).emit(event);
+
+			return new Promise((resolve, reject) => {
+				setTimeout(() => {
+					try {
+						sinon.assert.notCalled(spy);
+
+						resolve();
+					} catch(error) {
+						reject(error);
+					}
+				}, 10);
+			});
+		});
+	});
+
+	describe('once()', () => {
+		it('should call an event listener only once', async () => {
+			emitter
+				.once(event, spy)
+				.emit(event)
+				.emit(event);
+
+			return new Promise((resolve, reject) => {
+				setTimeout(() => {
+					try {
+						sinon.assert.called(spy);
+						sinon.assert.calledOn(spy, emitter);
+						sinon.assert.callCount(spy, 1);
+						sinon.assert.calledWithExactly(spy, { name: event, context: emitter });
+
+						resolve();
+					} catch(error) {
+						reject(error);
+					}
+				}, 10);
+			});
+		});
+
+		it('should call an expression listener only once', () => {
+			let regex = new RegExp('^' + event + '/(?:success|failure)');
+
+			emitter
+				.once(regex, spy)
+				.emit(event + '/none')
+				.emit(event + '/success')
+				.emit(event + '/failure')
+				.emit('none');
+
+			return new Promise((resolve, reject) => {
+				setTimeout(() => {
+					try {
+						sinon.assert.called(spy);
+						sinon.assert.calledOn(spy, emitter);
+						sinon.assert.callCount(spy, 1);
+						sinon.assert.calledWithExactly(spy, { name: event + '/success', context: emitter });
+
+						resolve();
+					} catch(error) {
+						reject(error);
+					}
+				}, 10);
+			});
+		});
+
+		it('should call an array of listeners only once', () => {
+			emitter
+				.once([ event, event ], spy)
+				.emit(event)
+				.emit(event);
+
+			return new Promise((resolve, reject) => {
+				setTimeout(() => {
+					try {
+						sinon.assert.called(spy);
+						sinon.assert.calledOn(spy, emitter);
+						sinon.assert.callCount(spy, 2);
+						sinon.assert.alwaysCalledWithExactly(spy, { name: event, context: emitter });
+
+						resolve();
+					} catch(error) {
+						reject(error);
+					}
+				}, 10);
+			});
+		});
+	});
+
+	describe('limit()', () => {
+		it('should call an event listener a limited number of times', () => {
+			emitter
+				.limit(event, 3, spy)
+				.emit('none')
+				.emit(event)
+				.emit(event)
+				.emit(event)
+				.emit(event)
+				.emit('none');
+
+			return new Promise((resolve, reject) => {
+				setTimeout(() => {
+					try {
+						sinon.assert.called(spy);
+						sinon.assert.calledOn(spy, emitter);
+						sinon.assert.callCount(spy, 3);
+						sinon.assert.alwaysCalledWithExactly(spy, { name: event, context: emitter });
+
+						resolve();
+					} catch(error) {
+						reject(error);
+					}
+				}, 10);
+			});
+		});
+
+		it('should call an expression listener a limited number of times', () => {
+			let regex = new RegExp('^' + event + '/(?:success|failure)');
+
+			function testEvent(event) {
+				return regex.test(event.name) && event.context instanceof Emitter;
+			}
+
+			emitter
+				.limit(regex, 3, spy)
+				.emit(event + '/none')
+				.emit(event + '/success')
+				.emit(event + '/failure')
+				.emit(event + '/success')
+				.emit(event + '/failure')
+				.emit('none');
+
+			return new Promise((resolve, reject) => {
+				setTimeout(() => {
+					try {
+						sinon.assert.called(spy);
+						sinon.assert.calledOn(spy, emitter);
+						sinon.assert.callCount(spy, 3);
+						sinon.assert.alwaysCalledWithMatch(spy, testEvent);
+
+						resolve();
+					} catch(error) {
+						reject(error);
+					}
+				}, 10);
+			});
+		});
+
+		it('should call an array of event listeners a limited number of times', () => {
+			emitter
+				.limit([ event, event ], 3, spy)
+				.emit('none')
+				.emit(event)
+				.emit(event)
+				.emit(event)
+				.emit(event)
+				.emit('none');
+
+			return new Promise((resolve, reject) => {
+				setTimeout(() => {
+					try {
+						sinon.assert.called(spy);
+						sinon.assert.calledOn(spy, emitter);
+						sinon.assert.callCount(spy, 6);
+						sinon.assert.alwaysCalledWithExactly(spy, { name: event, context: emitter });
+
+						resolve();
+					} catch(error) {
+						reject(error);
+					}
+				}, 10);
+			});
+		});
+	});
+
+	describe('patterns', () => {
+		it('should call single segment wildcard listeners', () => {
+			emitter.on(event + '.*.added', spy);
+
+			emitter.emitSync(event + '.item.added');
+			emitter.emitSync(event + '.user.added');
+			emitter.emitSync(event + '.item.removed');
+			emitter.emitSync(event + '.item.sub.added');
+			emitter.emitSync(event + '.added');
+
+			sinon.assert.calledTwice(spy);
+			sinon.assert.calledWithMatch(spy, { name: event + '.item.added' });
+			sinon.assert.calledWithMatch(spy, { name: event + '.user.added' });
+		});
+
+		it('should call multi segment wildcard listeners', () => {
+			emitter.on(event + '.**', spy);
+
+			emitter.emitSync(event);
+			emitter.emitSync(event + '.item');
+			emitter.emitSync(event + '.item.added');
+			emitter.emitSync('none.item.added');
+
+			sinon.assert.calledThrice(spy);
+		});
+
+		it('should call multi segment wildcard listeners in the middle of a pattern', () => {
+			emitter.on(event + '.**.added', spy);
+
+			emitter.emitSync(event + '.added');
+			emitter.emitSync(event + '.item.added');
+			emitter.emitSync(event + '.item.sub.added');
+			emitter.emitSync(event + '.item.removed');
+
+			sinon.assert.calledThrice(spy);
+		});
+
+		it('should call a listener only once per event', () => {
+			emitter.on(event + '.**.**', spy);
+
+			emitter.emitSync(event + '.item.sub.added');
+
+			sinon.assert.calledOnce(spy);
+		});
+
+		it('should support a configurable delimiter', () => {
+			emitter
+				.on(event + '.*', spy)
+				.setDelimiter('/')
+				.on(event + '/*', spy);
+
+			emitter.emitSync(event + '/item');
+			emitter.emitSync(event + '.item');
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWithMatch(spy, { name: event + '/item' });
+			expect(emitter.listener(event + '.*')).to.deep.equal([ spy ]);
+		});
+
+		it('should unregister pattern listeners', () => {
+			let other = sandbox.spy();
+
+			emitter
+				.on(event + '.*', spy)
+				.on(event + '.*', other)
+				.on(event + '.item', spy)
+				.off(event + '.*', spy);
+
+			expect(emitter.listener(event + '.item')).to.deep.equal([ other, spy ]);
+
+			emitter.off(event + '.*');
+
+			expect(emitter.listener(event + '.item')).to.deep.equal([ spy ]);
+		});
+
+		it('should unsubscribe pattern listeners', () => {
+			let subscription = emitter.once(event + '.*', spy, { subscription: true });
+
+			emitter.emitSync(event + '.item');
+			emitter.emitSync(event + '.item');
+
+			sinon.assert.calledOnce(spy);
+			expect(subscription.isActive).to.equal(false);
+			expect(emitter.listener(event + '.item')).to.be.an('array').and.to.have.length.of(0);
+		});
+
+		it('should support broadcast pattern listeners', () => {
+			Emitter.on(event + '.*', spy);
+
+			emitter.emitSync(event + '.item');
+
+			Emitter.off(event + '.*');
+
+			emitter.emitSync(event + '.item');
+
+			sinon.assert.calledOnce(spy);
+		});
+	});
+
+	describe('options', () => {
+		it('should accept an options object', () => {
+			let listeners = [ function one() {}, function two() {}, function three() {} ];
+
+			emitter
+				.on(event, listeners[2])
+				.on(event, listeners[1], { prepend: true })
+				.on(event, listeners[0], { priority: 1 });
+
+			expect(emitter.listener(event)).to.deep.equal(listeners);
+		});
+
+		it('should coerce positional arguments', () => {
+			let listeners = [ function one() {}, function two() {} ];
+
+			emitter
+				.on(event, spy, null, 2)
+				.on(event, listeners[1])
+				.on(event, listeners[0], 1)
+				.limit(event, 0, spy);
+
+			expect(emitter.listener(event)).to.deep.equal([ listeners[0], spy, listeners[1], spy ]);
+
+			emitter.emitSync(event);
+			emitter.emitSync(event);
+			emitter.emitSync(event);
+
+			expect(spy.callCount).to.equal(5);
+			expect(emitter.listener(event)).to.deep.equal([ listeners[0], listeners[1], spy ]);
+		});
+
+		it('should validate options objects strictly', () => {
+			expect(() => emitter.on(event, spy, { prepend: 1 })).to.throw(TypeError);
+			expect(() => emitter.on(event, spy, { limit: 0 })).to.throw(TypeError);
+		});
+
+		it('should call listeners in the passed context', () => {
+			let context = {};
+
+			emitter
+				.on(event, spy, { context: context })
+				.on(event, spy, { thisArg: context })
+				.emitSync(event);
+
+			sinon.assert.calledTwice(spy);
+			sinon.assert.alwaysCalledOn(spy, context);
+		});
+
+		it('should only call listeners accepted by the filter', () => {
+			function filter(event, detail) {
+				return detail === 'accept';
+			}
+
+			emitter.once(event, spy, { filter: filter });
+
+			emitter.emitSync(event, 'reject');
+			emitter.emitSync(event, 'accept');
+			emitter.emitSync(event, 'accept');
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWithExactly(spy, { name: event, context: emitter }, 'accept');
+		});
+
+		it('should subscribe identifiers containing wildcards literally', () => {
+			let subscription = emitter.on(event + '.*', spy, { literal: true, subscription: true });
+
+			emitter.emitSync(event + '.test');
+			emitter.emitSync(event + '.*');
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWith(spy, { name: event + '.*', context: emitter });
+
+			subscription.unsubscribe();
+
+			expect(emitter.listener(event + '.*')).to.have.lengthOf(0);
+		});
+
+		it('should unsubscribe literal listeners via off()', () => {
+			let other = sandbox.spy();
+
+			emitter
+				.on(event + '.*', spy, { literal: true })
+				.on(event + '.*', other, { literal: true })
+				.on(event + '.*', spy);
+
+			emitter.off(event + '.*', spy);
+
+			expect(emitter.listener(event + '.*')).to.deep.equal([ other ]);
+			expect(emitter.listener(event + '.test')).to.have.lengthOf(0);
+
+			emitter.off(event + '.*');
+
+			expect(emitter.listener(event + '.*')).to.have.lengthOf(0);
+		});
+
+		it('should respect once and limit options', () => {
+			let other = sandbox.spy();
+
+			emitter
+				.on(event, spy, { once: true })
+				.on(event, other, { limit: 2 });
+
+			emitter.emitSync(event);
+			emitter.emitSync(event);
+			emitter.emitSync(event);
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledTwice(other);
+		});
+
+		it('should throw descriptive errors for invalid arguments', () => {
+			expect(() => emitter.on(1, spy)).to.throw(TypeError, /Identifier must be/);
+			expect(() => emitter.on([ event, null ], spy)).to.throw(TypeError, /Identifier must be/);
+			expect(() => emitter.on(event, 'callback')).to.throw(TypeError, /Callback must be a function/);
+			expect(() => emitter.on(event, spy, { unknown: true })).to.throw(TypeError, /Unknown option "unknown"/);
+			expect(() => emitter.on(event, spy, { priority: 1.5 })).to.throw(TypeError, /Option "priority" must be an integer/);
+			expect(() => emitter.on(event, spy, { filter: true })).to.throw(TypeError, /Option "filter" must be a function/);
+			expect(() => emitter.limit(event, 0, spy, {})).to.throw(TypeError, /Option "limit" must be a positive integer/);
+			expect(() => emitter.once(event, spy, { limit: 2 })).to.throw(TypeError, /must not be combined/);
+			expect(() => emitter.off(event, 'callback')).to.throw(TypeError, /Callback must be a function/);
+
+			expect(emitter.listener(event)).to.be.an('array').and.to.have.length.of(0);
+		});
+	});
+
+	describe('debounce and throttle', () => {
+		let clock;
+
+		beforeEach(() => {
+			clock = sandbox.useFakeTimers();
+		});
+
+		function burst(count) {
+			let i = 0;
+
+			for(; i < count; i++) {
+				emitter.emitSync(event, i);
+				clock.tick(10);
+			}
+		}
+
+		it('should debounce a listener', () => {
+			emitter.on(event, spy, { debounce: 50 });
+
+			burst(5);
+			sinon.assert.notCalled(spy);
+
+			clock.tick(50);
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWithExactly(spy, { name: event, context: emitter }, 4);
+		});
+
+		it('should debounce a listener on the leading edge', () => {
+			emitter.on(event, spy, { debounce: { wait: 50, leading: true, trailing: false } });
+
+			burst(5);
+			clock.tick(50);
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWithExactly(spy, { name: event, context: emitter }, 0);
+		});
+
+		it('should throttle a listener', () => {
+			emitter.on(event, spy, { throttle: 25 });
+
+			burst(5);
+			clock.tick(50);
+
+			expect(spy.args.map((args) => args[1])).to.deep.equal([ 0, 2, 4 ]);
+		});
+
+		it('should throttle a listener on the trailing edge only', () => {
+			emitter.on(event, spy, { throttle: { wait: 25, leading: false } });
+
+			burst(2);
+			sinon.assert.notCalled(spy);
+
+			clock.tick(50);
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWithExactly(spy, { name: event, context: emitter }, 1);
+		});
+
+		it('should count limited listeners once actually called', () => {
+			emitter.once(event, spy, { debounce: 50 });
+
+			burst(3);
+			clock.tick(50);
+			burst(3);
+			clock.tick(50);
+
+			sinon.assert.calledOnce(spy);
+			expect(emitter.listener(event)).to.deep.equal([]);
+		});
+
+		it('should remove a listener by its original callback and clear pending calls', () => {
+			emitter.on(event, spy, { debounce: 50 });
+
+			burst(1);
+			emitter.off(event, spy);
+			clock.tick(50);
+
+			sinon.assert.notCalled(spy);
+			expect(emitter.listener(event)).to.deep.equal([]);
+		});
+
+		it('should pass errors of delayed calls to the error pipeline', () => {
+			let error = new Error('listener failed');
+
+			emitter
+				.setErrorHandler(spy)
+				.on(event, () => { throw error; }, { debounce: 50 });
+
+			burst(1);
+			clock.tick(50);
+
+			sinon.assert.calledOnce(spy);
+			sinon.assert.calledWith(spy, error);
+		});
+
+		it('should throw for invalid timing options', () => {
+			expect(() => emitter.on(event, spy, { debounce: -1 })).to.throw(TypeError);
+			expect(() => emitter.on(event, spy, { throttle: { wait: 10, leading: false, trailing: false } })).to.throw(TypeError);
+			expect(() => emitter.on(event, spy, { throttle: { wait: 10, delay: 5 } })).to.throw(TypeError);
+			expect(() => emitter.on(event, spy, { debounce: 10, throttle: 10 })).to.throw(TypeError);
+		});
+	});
+
+	describe('subscriptions', () => {
+		it('should return a subscription on request', () => {
+			let subscription = emitter.on(event, spy, { subscription: true });
+
+			expect(subscription.isActive).to.equal(true);
+			expect(subscription.remaining).to.equal(Infinity);
+			expect(emitter.listener(event)).to.deep.equal([ spy ]);
+
+			subscription.unsubscribe();
+
+			expect(subscription.isActive).to.equal(false);
+			expect(subscription.remaining).to.equal(0);
+			expect(emitter.listener(event)).to.be.an('array').and.to.have.length.of(0);
+		});
+
+		it('should only remove its own registration of a callback', () => {
+			let subscription = emitter.on(event, spy, { subscription: true });
+
+			emitter.on(event, spy);
+
+			subscription.unsubscribe();
+
+			expect(emitter.listener(event)).to.deep.equal([ spy ]);
+		});
+
+		it('should support inline listeners', () => {
+			let subscription = emitter.on(event, () => spy(), { subscription: true });
+
+			emitter.emitSync(event);
+			subscription.unsubscribe();
+			emitter.emitSync(event);
+
+			sinon.assert.calledOnce(spy);
+		});
+
+		it('should report remaining calls of limited listeners', () => {
+			let subscription = emitter.limit([ event, new RegExp('^' + event + '$') ], 2, spy, { subscription: true });
+
+			expect(subscription.remaining).to.equal(4);
+
+			emitter.emitSync(event);
+
+			expect(subscription.remaining).to.equal(2);
+
+			emitter.emitSync(event);
+
+			expect(subscription.isActive).to.equal(false);
+			expect(subscription.remaining).to.equal(0);
+
+			sinon.assert.callCount(spy, 4);
+		});
+
+		it('should be inactive once a once only listener was called', () => {
+			let subscription = emitter.once(event, spy, { subscription: true });
+
+			emitter
+				.emitSync(event);
+
+			expect(subscription.isActive).to.equal(false);
+		});
+
+		it('should unsubscribe broadcast listeners', () => {
+			let subscription = Emitter.once(event, spy, { subscription: true });
+
+			expect(Emitter.listener(event)).to.deep.equal([ spy ]);
+
+			emitter.emitSync(event);
+			emitter.emitSync(event);
+
+			sinon.assert.calledOnce(spy);
+			expect(subscription.isActive).to.equal(false);
+			expect(Emitter.listener(event)).to.be.an('array').and.to.have.length.of(0);
+		});
+
+		itAbortable('should unsubscribe when the signal is aborted', () => {
+			let controller = new AbortController();
+
+			emitter
+				.on([ event, new RegExp('^' + event + '$') ], spy, { signal: controller.signal })
+				.emitSync(event);
+
+			controller.abort();
+
+			emitter.emitSync(event);
+
+			sinon.assert.calledTwice(spy);
+			expect(emitter.listener(event)).to.be.an('array').and.to.have.length.of(0);
+		});
+
+		itAbortable('should not subscribe for an already aborted signal', () => {
+			let controller = new AbortController();
+
+			controller.abort();
+
+			let subscription = Emitter.on(event, spy, { signal: controller.signal, subscription: true });
+
+			expect(subscription.isActive).to.equal(false);
+			expect(Emitter.listener(event)).to.be.an('array').and.to.have.length.of(0);
+		});
+	});
+
+	describe('listener leaks', () => {
+		let emitWarning;
+
+		beforeEach(() => {
+			emitWarning = sandbox.stub(process, 'emitWarning');
+		});
+
+		afterEach(() => {
+			Emitter
+				.setMaxListeners()
+				.setMaxListeners(undefined, event)
+				.setLeakPolicy('warn');
+		});
+
+		function subscribe(context, identifier, count) {
+			for(let i = 0; i < count; i++) {
+				context.on(identifier, spy);
+			}
+		}
+
+		it('should warn once when exceeding the default maximum', () => {
+			let warning;
+
+			expect(emitter.getMaxListeners()).to.equal(10);
+
+			subscribe(emitter, event, 12);
+
+			sinon.assert.calledOnce(emitWarning);
+
+			warning = emitWarning.firstCall.args[0];
+
+			expect(warning.name).to.equal('MaxListenersExceededWarning');
+			expect(warning.message).to.contain('11 listeners subscribed for "' + event + '" exceed the maximum of 10');
+			expect(warning.emitter).to.equal(emitter);
+			expect(warning.identifier).to.equal(event);
+			expect(warning.type).to.equal(event);
+			expect(warning.count).to.equal(11);
+			expect(warning.detail).to.contain('subscribe (' + __filename);
+			expect(warning.detail).to.not.contain(require.resolve('../index.js'));
+			expect(emitter.listener(event)).to.have.lengthOf(12);
+		});
+
+		it('should count listeners per identifier, pattern and RegExp', () => {
+			emitter.setMaxListeners(2);
+
+			subscribe(emitter, event, 2);
+			subscribe(emitter, event + '.*', 2);
+			subscribe(emitter, /^foo/, 2);
+			subscribe(emitter, [ 'bar', 'baz' ], 2);
+
+			sinon.assert.notCalled(emitWarning);
+
+			subscribe(emitter, event + '.*', 1);
+			subscribe(emitter, /^foo/, 1);
+
+			sinon.assert.calledTwice(emitWarning);
+			expect(emitWarning.firstCall.args[0].identifier).to.equal(event + '.*');
+			expect(emitWarning.secondCall.args[0].identifier).to.equal('/^foo/');
 		});
 
-		it('should call an expression listener only once', () => {
-			let regex = new RegExp('^' + event + '/(?:success|failure)');
+		it('should prefer identifier over emitter and instance over global settings', () => {
+			let other = new Emitter();
 
-			emitter
-				.once(regex, spy)
-				.emit(event + '/none')
-				.emit(event + '/success')
-				.emit(event + '/failure')
-				.emit('none');
+			Emitter.setMaxListeners(1);
+			emitter.setMaxListeners(3, event);
 
-			return new Promise((resolve, reject) => {
-				setTimeout(() => {
-					try {
-						sinon.assert.called(spy);
-						sinon.assert.calledOn(spy, emitter);
-						sinon.assert.callCount(spy, 1);
-						sinon.assert.calledWithExactly(spy, { name: event + '/success', context: emitter });
+			expect(emitter.getMaxListeners()).to.equal(1);
+			expect(emitter.getMaxListeners(event)).to.equal(3);
+			expect(other.getMaxListeners(event)).to.equal(1);
 
-						resolve();
-					} catch(error) {
-						reject(error);
-					}
-				}, 10);
-			});
-		});
+			subscribe(emitter, event, 3);
+			subscribe(other, event, 2);
 
-		it('should call an array of listeners only once', () => {
-			emitter
-				.once([ event, event ], spy)
-				.emit(event)
-				.emit(event);
+			sinon.assert.calledOnce(emitWarning);
+			sinon.assert.calledWith(emitWarning, sinon.match({ emitter: other }));
 
-			return new Promise((resolve, reject) => {
-				setTimeout(() => {
-					try {
-						sinon.assert.called(spy);
-						sinon.assert.calledOn(spy, emitter);
-						sinon.assert.callCount(spy, 2);
-						sinon.assert.alwaysCalledWithExactly(spy, { name: event, context: emitter });
+			Emitter.setMaxListeners(5, event);
+			emitter.setMaxListeners(2);
 
-						resolve();
-					} catch(error) {
-						reject(error);
-					}
-				}, 10);
-			});
+			expect(emitter.getMaxListeners(event)).to.equal(3);
+			expect(other.getMaxListeners(event)).to.equal(5);
+			expect(other.getMaxListeners('other')).to.equal(1);
 		});
-	});
 
-	describe('limit()', () => {
-		it('should call an event listener a limited number of times', () => {
-			emitter
-				.limit(event, 3, spy)
-				.emit('none')
-				.emit(event)
-				.emit(event)
-				.emit(event)
-				.emit(event)
-				.emit('none');
+		it('should count broadcast listeners in their own scope', () => {
+			Emitter.setMaxListeners(1, event);
 
-			return new Promise((resolve, reject) => {
-				setTimeout(() => {
-					try {
-						sinon.assert.called(spy);
-						sinon.assert.calledOn(spy, emitter);
-						sinon.assert.callCount(spy, 3);
-						sinon.assert.alwaysCalledWithExactly(spy, { name: event, context: emitter });
+			Emitter.on(event, spy);
+			emitter.on(event, spy);
 
-						resolve();
-					} catch(error) {
-						reject(error);
-					}
-				}, 10);
-			});
+			sinon.assert.notCalled(emitWarning);
+
+			Emitter.on(event, spy);
+
+			sinon.assert.calledOnce(emitWarning);
+			sinon.assert.calledWith(emitWarning, sinon.match({ emitter: Emitter }));
+
+			Emitter.off(event);
 		});
 
-		it('should call an expression listener a limited number of times', () => {
-			let regex = new RegExp('^' + event + '/(?:success|failure)');
+		it('should not check if the maximum is zero or Infinity', () => {
+			emitter.setMaxListeners(0);
 
-			function testEvent(event) {
-				return regex.test(event.name) && event.context instanceof Emitter;
-			}
+			subscribe(emitter, event, 20);
 
-			emitter
-				.limit(regex, 3, spy)
-				.emit(event + '/none')
-				.emit(event + '/success')
-				.emit(event + '/failure')
-				.emit(event + '/success')
-				.emit(event + '/failure')
-				.emit('none');
+			emitter.setMaxListeners(Infinity);
 
-			return new Promise((resolve, reject) => {
-				setTimeout(() => {
-					try {
-						sinon.assert.called(spy);
-						sinon.assert.calledOn(spy, emitter);
-						sinon.assert.callCount(spy, 3);
-						sinon.assert.alwaysCalledWithMatch(spy, testEvent);
+			subscribe(emitter, event, 20);
 
-						resolve();
-					} catch(error) {
-						reject(error);
-					}
-				}, 10);
-			});
+			sinon.assert.notCalled(emitWarning);
 		});
 
-		it('should call an array of event listeners a limited number of times', () => {
+		it('should throw instead of warning if the leak policy demands it', () => {
 			emitter
-				.limit([ event, event ], 3, spy)
-				.emit('none')
-				.emit(event)
-				.emit(event)
-				.emit(event)
-				.emit(event)
-				.emit('none');
+				.setMaxListeners(1)
+				.setLeakPolicy('throw')
+				.on(event, spy);
 
-			return new Promise((resolve, reject) => {
-				setTimeout(() => {
-					try {
-						sinon.assert.called(spy);
-						sinon.assert.calledOn(spy, emitter);
-						sinon.assert.callCount(spy, 6);
-						sinon.assert.alwaysCalledWithExactly(spy, { name: event, context: emitter });
+			expect(() => emitter.on(event, spy)).to.throw(Error, '2 listeners subscribed for "' + event + '" exceed the maximum of 1').with.property('name', 'MaxListenersExceededError');
+			expect(emitter.listener(event)).to.have.lengthOf(1);
+			sinon.assert.notCalled(emitWarning);
+		});
 
-						resolve();
-					} catch(error) {
-						reject(error);
-					}
-				}, 10);
-			});
+		it('should not subscribe any identifier of an array if one of them leaks', () => {
+			emitter
+				.setMaxListeners(1)
+				.setLeakPolicy('throw')
+				.on(event + '.other', spy);
+
+			expect(() => emitter.on([ event, event + '.other' ], spy)).to.throw(Error).with.property('name', 'MaxListenersExceededError');
+			expect(() => emitter.on([ event, event ], spy)).to.throw(Error, '2 listeners subscribed for "' + event + '" exceed the maximum of 1');
+			expect(emitter.listener(event)).to.have.lengthOf(0);
+			expect(emitter.listener(event + '.other')).to.have.lengthOf(1);
+		});
+
+		it('should validate its arguments', () => {
+			expect(() => emitter.setMaxListeners(-1)).to.throw(TypeError, 'Maximum number of listeners must be a non-negative integer or Infinity');
+			expect(() => emitter.setMaxListeners(1.5)).to.throw(TypeError);
+			expect(() => emitter.setMaxListeners(1, [ event ])).to.throw(TypeError, 'Identifier must be a String or a RegExp');
+			expect(() => emitter.setLeakPolicy('ignore')).to.throw(TypeError, 'Leak policy must be one of "warn", "throw"');
 		});
 	});
 
@@ -575,6 +3225,274 @@ describe('class/emitter.js', () => {
 		});
 	});
 
+	describe('offMatching(), offCallback() and offAll()', () => {
+		afterEach(() => {
+			Emitter.offAll();
+		});
+
+		it('should remove all listeners that would get called for an event', () => {
+			let other = sandbox.spy();
+
+			emitter
+				.on(event + '.foo', spy)
+				.on(event + '.*', spy)
+				.on(/\.foo$/, spy)
+				.on([ /\.foo$/, new RegExp('^' + event) ], spy)
+				.on(event + '.bar', other)
+				.on(/\.bar$/, other)
+				.offMatching(event + '.foo');
+
+			expect(emitter.listener(event + '.foo')).to.have.lengthOf(0);
+			expect(emitter.listener(event + '.bar')).to.deep.equal([ other, other ]);
+		});
+
+		it('should remove a callback from all identifiers', () => {
+			let other = sandbox.spy();
+
+			emitter
+				.on(event, spy)
+				.on([ /^foo/, /^fo+/, event + '.*' ], spy)
+				.on(event, other)
+				.offCallback(spy);
+
+			expect(emitter.describe().map((descriptor) => descriptor.callback)).to.deep.equal([ other ]);
+		});
+
+		it('should remove all listeners of an instance', () => {
+			let subscription;
+
+			Emitter.on(event, spy);
+
+			subscription = emitter.on(event, spy, { subscription: true, debounce: 10 });
+
+			emitter
+				.on(/^foo/, spy)
+				.on(event + '.*', spy)
+				.offAll();
+
+			expect(subscription.isActive).to.equal(false);
+			expect(emitter.describe().map((descriptor) => descriptor.scope)).to.deep.equal([ 'broadcast' ]);
+		});
+
+		it('should clear the broadcast scope', () => {
+			Emitter
+				.on(event, spy)
+				.on(/^foo/, spy)
+				.offAll();
+
+			emitter.on(event, spy);
+
+			expect(Emitter.describe()).to.have.lengthOf(0);
+			expect(emitter.listenerCount(event)).to.equal(1);
+		});
+
+		it('should only remove listeners of the own scope', () => {
+			Emitter.on(event, spy);
+
+			emitter
+				.on(event, spy)
+				.offMatching(event)
+				.offCallback(spy);
+
+			expect(emitter.listener(event)).to.deep.equal([ spy ]);
+		});
+
+		it('should validate their arguments', () => {
+			expect(() => emitter.offMatching(/foo/)).to.throw(TypeError, 'Name must be a String');
+			expect(() => emitter.offCallback('foo')).to.throw(TypeError);
+		});
+	});
+
+	describe('listener cache', () => {
+		it('should invalidate cached listeners on subscription and removal', () => {
+			let other = sandbox.spy();
+			let regex = new RegExp('^' + event + '$');
+
+			expect(emitter.listener(event)).to.deep.equal([]);
+
+			emitter.on(event, spy);
+			expect(emitter.listener(event)).to.deep.equal([ spy ]);
+
+			emitter.on(regex, other);
+			expect(emitter.listener(event)).to.deep.equal([ spy, other ]);
+
+			emitter.off(regex);
+			expect(emitter.listener(event)).to.deep.equal([ spy ]);
+
+			emitter.on(event + '.**', other);
+			expect(emitter.listener(event)).to.deep.equal([ spy, other ]);
+
+			emitter.off(event + '.**');
+			emitter.off(event, spy);
+			expect(emitter.listener(event)).to.deep.equal([]);
+		});
+
+		it('should invalidate cached listeners on limit expiry', () => {
+			emitter.once(event, spy);
+
+			expect(emitter.listener(event)).to.deep.equal([ spy ]);
+
+			emitter.emitSync(event);
+
+			expect(emitter.listener(event)).to.deep.equal([]);
+		});
+
+		it('should invalidate cached listeners on broadcast changes', () => {
+			let regex = new RegExp('^' + event + '$');
+
+			expect(emitter.listener(event)).to.deep.equal([]);
+
+			Emitter.on(event, spy);
+			expect(emitter.listener(event)).to.deep.equal([ spy ]);
+
+			Emitter.off(event, spy);
+			expect(emitter.listener(event)).to.deep.equal([]);
+
+			Emitter.once(regex, spy);
+			expect(emitter.listener(event)).to.deep.equal([ spy ]);
+
+			emitter.emitSync(event);
+			expect(emitter.listener(event)).to.deep.equal([]);
+		});
+
+		it('should speed up resolving listeners (benchmark)', function() {
+			let iterations = 500, rounds = 5, uncached = Infinity, cached = Infinity, i, j;
+
+			function measure(resolve) {
+				let start = process.hrtime(), duration, k;
+
+				for(k = 0; k < iterations; k++) {
+					resolve(k);
+				}
+
+				duration = process.hrtime(start);
+
+				return duration[0] * 1e9 + duration[1];
+			}
+
+			this.timeout(10000);
+
+			for(i = 0; i < 250; i++) {
+				emitter.on(new RegExp('^' + event + '/' + i + '$'), spy);
+			}
+
+			// take the fastest of several rounds to rule out garbage collection pauses
+			for(j = 0; j < rounds; j++) {
+				uncached = Math.min(uncached, measure((i) => emitter.listener(event + '/uncached/' + j + '/' + i)));
+				cached   = Math.min(cached, measure(() => emitter.listener(event + '/0')));
+			}
+
+			expect(cached).to.be.below(uncached / 2);
+		});
+	});
+
+	describe('describe()', () => {
+		afterEach(() => {
+			Emitter.off(event);
+		});
+
+		it('should describe the listeners of an event in order of execution', () => {
+			let descriptors;
+
+			function broadcast() {}
+			function expression() {}
+			function pattern() {}
+
+			Emitter.on(event, broadcast);
+
+			emitter
+				.on(new RegExp('^' + event), expression, false, undefined, 5)
+				.on(event + '.*', pattern)
+				.limit(event, 3, spy, true);
+
+			descriptors = emitter.describe(event);
+
+			expect(descriptors.map((descriptor) => descriptor.callback)).to.deep.equal([ expression, spy, broadcast ]);
+			expect(descriptors[0]).to.include({ type: 'expression', scope: 'instance', emitter: emitter, priority: 5, order: 0, remaining: Infinity, capture: false });
+			expect(descriptors[0].identifier.toString()).to.equal('/^' + event + '/');
+			expect(descriptors[1]).to.include({ identifier: event, type: 'event', scope: 'instance', priority: 0, order: 1, remaining: 3 });
+			expect(descriptors[2]).to.include({ identifier: event, type: 'event', scope: 'broadcast', emitter: Emitter, order: 2 });
+
+			expect(emitter.describe(event + '.foo').map((descriptor) => descriptor.type)).to.deep.equal([ 'expression', 'pattern' ]);
+		});
+
+		it('should describe all listeners', () => {
+			let descriptors;
+
+			Emitter.on(event, spy);
+
+			emitter
+				.on(event, spy)
+				.once('other', spy)
+				.on(event + '.*', spy);
+
+			descriptors = emitter.describe();
+
+			expect(descriptors.map((descriptor) => descriptor.identifier)).to.deep.equal([ event, event, 'other', event + '.*' ]);
+			expect(descriptors.map((descriptor) => descriptor.order)).to.deep.equal([ 0, 1, 2, 3 ]);
+			expect(descriptors[2].remaining).to.equal(1);
+			expect(Emitter.describe().map((descriptor) => descriptor.scope)).to.deep.equal([ 'broadcast' ]);
+		});
+
+		it('should include the stack of the registration if enabled', () => {
+			emitter.on(event, spy);
+
+			expect(emitter.describe(event)[0].stack).to.equal('');
+
+			emitter.setCaptureStacks(true).on(event, spy);
+
+			expect(emitter.describe(event)[1].stack).to.contain(__filename);
+			expect(emitter.describe(event)[1].stack).to.not.contain(require.resolve('../index.js'));
+			expect(() => emitter.setCaptureStacks('yes')).to.throw(TypeError, 'Enabled must be a boolean');
+		});
+
+		it('should reject invalid names', () => {
+			expect(() => emitter.describe(/foo/)).to.throw(TypeError, 'Name must be a String');
+		});
+	});
+
+	describe('eventNames()', () => {
+		afterEach(() => {
+			Emitter.off(event);
+		});
+
+		it('should retrieve all identifiers including patterns, RegExps and broadcast ones', () => {
+			let expression = /^foo/;
+
+			Emitter.on(event, spy);
+
+			emitter
+				.on(event, spy)
+				.on(event + '.*', spy)
+				.on(expression, spy)
+				.on(/^foo/, spy)
+				.on('removed', spy)
+				.off('removed');
+
+			expect(emitter.eventNames()).to.deep.equal([ event, event + '.*', expression ]);
+			expect(Emitter.eventNames()).to.deep.equal([ event ]);
+		});
+	});
+
+	describe('listenerCount()', () => {
+		afterEach(() => {
+			Emitter.off(event);
+		});
+
+		it('should count the listeners of an event', () => {
+			Emitter.on(event, spy);
+
+			emitter
+				.on(event, spy)
+				.on(new RegExp('^' + event + '$'), spy)
+				.on('other', spy);
+
+			expect(emitter.listenerCount(event)).to.equal(3);
+			expect(emitter.listenerCount('missing')).to.equal(0);
+			expect(Emitter.listenerCount(event)).to.equal(1);
+		});
+	});
+
 	describe('listener()', () => {
 		it('should return an empty array for events without actual listeners', () => {
 			let result = emitter.listener(event);
@@ -633,5 +3551,37 @@ describe('class/emitter.js', () => {
 				}, 10);
 			});
 		});
+
+		it('should return listeners in registration order', () => {
+			let listeners = [ function one() {}, function two() {}, function three() {}, function four() {} ];
+
+			Emitter.on(event, listeners[1]);
+
+			emitter
+				.on(event, listeners[0], true)
+				.on(new RegExp('^' + event + '$'), listeners[2])
+				.on(event, listeners[3]);
+
+			expect(emitter.listener(event)).to.deep.equal(listeners);
+
+			Emitter.off(event);
+		});
+
+		it('should return listeners ordered by priority across scopes', () => {
+			let listeners = [ function one() {}, function two() {}, function three() {}, function four() {}, function five() {} ];
+			let regex     = new RegExp('^' + event + '$');
+
+			Emitter.on(event, listeners[2], false, undefined, 5);
+
+			emitter
+				.on(event, listeners[4], false, undefined, -1)
+				.on(regex, listeners[3], false, undefined, 5)
+				.on(event, listeners[1], true, undefined, 5)
+				.once(regex, listeners[0], false, 10);
+
+			expect(emitter.listener(event)).to.deep.equal(listeners);
+
+			Emitter.off(event);
+		});
 	});
 });